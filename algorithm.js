@@ -311,12 +311,16 @@ class Exact {
     this.root = 1n
   }
 
+  // Only for results that are already reduced (plus, times and so on use it), anything else has to go through over and toThe
+  static raw(num, den = 1n, root = 1n) {
+    const Value = new Exact(num)
+    Value.den = den
+    Value.root = root
+    return Value
+  }
+
   get copy() {
-    const Copy = new Exact(1)
-    Copy.num = this.num
-    Copy.den = this.den
-    Copy.root = this.root
-    return Copy
+    return Exact.raw(this.num, this.den, this.root)
   }
 
   static gcd(X, Y) {
@@ -337,91 +341,196 @@ class Exact {
     return X < 0n ? -X : X
   }
 
-  get inverse() {
-    const Inv = new Exact(1n)
-    const Factor = this.num < 0n ? -1n : 1n
+  static lcm(X, Y) {
+    return X / Exact.gcd(X, Y) * Y
+  }
+
+  // How many bits X needs, without writing it out in binary
+  static bits(X) {
+    if (X < 0n) X = -X
+    if (X < 4294967296n) return 32 - Math.clz32(Number(X))
+
+    const Hex = X.toString(16)
+    return Hex.length * 4 + 28 - Math.clz32(parseInt(Hex[0], 16))
+  }
+
+  // How many digits X has. The number of bits gives it to within one, and comparing with a power of 10 settles it
+  static digits(X) {
+    if (X < 0n) X = -X
+    const ten = (power) => {
+      while (Tens.length <= power) Tens.push(Tens[Tens.length - 1] * 10n)
+      return Tens[power]
+    }
 
-    Inv.num = Factor * this.den
-    Inv.den = Exact.Abs(this.num)
-    Inv.root = this.root
-    return Inv
+    let Digits = Math.max(1, Math.floor((Exact.bits(X) - 1) * Math.LOG10E * Math.LN2))
+    while (Digits > 1 && X < ten(Digits - 1)) Digits--
+    while (X >= ten(Digits)) Digits++
+    return Digits
   }
 
-  plus(that) {
-    const Num = this.num * that.den + this.den * that.num
-    const Den = this.den * that.den
-    const GCD = Exact.gcd(Exact.Abs(Num), Den)
+  // a/b + c/d, with b and d positive and both fractions reduced. If b and d have nothing in common, neither does the result, and if they
+  // do, only their gcd can be left to divide out, which is a lot smaller than the whole denominator
+  static sum(A, B, C, D) {
+    if (B === 1n && D === 1n) return new Exact(A + C)
+    if (D === 1n) return Exact.raw(A + C * B, B)
+    if (B === 1n) return Exact.raw(A * D + C, D)
+
+    const GCD = Exact.gcd(B, D)
+    if (GCD === 1n) return Exact.raw(A * D + C * B, B * D)
+
+    const Num = A * (D / GCD) + C * (B / GCD)
+    const Rest = Exact.gcd(Exact.Abs(Num), GCD)
+    return Exact.raw(Num / Rest, (B / GCD) * (D / Rest))
+  }
 
-    const Sum = new Exact(1)
-    Sum.num = Num / GCD
-    Sum.den = Den / GCD
+  // a/b * c/d, same deal: a only has something in common with d, and c with b
+  static product(A, B, C, D) {
+    if (B === 1n && D === 1n) return new Exact(A * C)
 
-    return Sum
+    const GCDAD = D === 1n ? 1n : Exact.gcd(Exact.Abs(A), D)
+    const GCDCB = B === 1n ? 1n : Exact.gcd(Exact.Abs(C), B)
+    return Exact.raw((A / GCDAD) * (C / GCDCB), (B / GCDCB) * (D / GCDAD))
   }
 
-  minus(that) {
-    const Num = this.num * that.den - this.den * that.num
-    const Den = this.den * that.den
-    const GCD = Exact.gcd(Exact.Abs(Num), Den)
+  static exactRoot(X, K) {
+    if (X < 2n) return X
 
-    const Sub = new Exact(1)
-    Sub.num = Num / GCD
-    Sub.den = Den / GCD
+    // When the root is small, floating point rounds to it exactly (if there is one), so there's a single power to check instead of a
+    // whole Newton's method
+    const Estimate = Math.round(Number(X) ** (1 / Number(K)))
+    if (Estimate < 2 ** 32) return Exact.power(BigInt(Estimate), K) === X ? BigInt(Estimate) : false
 
-    return Sub
+    let Guess = 1n << BigInt(Math.ceil(Exact.bits(X) / Number(K)))
+    while (true) {
+      const Next = ((K - 1n) * Guess + X / Exact.power(Guess, K - 1n)) / K
+      if (Next >= Guess) break
+      Guess = Next
+    }
+
+    return Exact.power(Guess, K) === X ? Guess : false
   }
 
-  times(that) {
-    const Num = this.num * that.num
-    const Den = this.den * that.den
-    const GCD = Exact.gcd(Exact.Abs(Num), Den)
-    if (GCD === 0n) return new Exact(0)
-    const Mul = new Exact(1)
-    Mul.num = Num / GCD
-    Mul.den = Den / GCD
+  get simplified() {
+    const Simple = this.copy
+    if (Simple.num === 0n || Exact.Abs(Simple.num) === Simple.den) Simple.root = 1n
+
+    // a K-th root of something with less than K bits can't be exact (other than 0 and 1)
+    const Bits = BigInt(Exact.bits(Exact.Abs(Simple.num) > Simple.den ? Simple.num : Simple.den))
+    let K = 2n
 
-    return Mul
+    while (K <= Simple.root && K <= Bits) {
+      const Num = Simple.root % K === 0n ? Exact.exactRoot(Exact.Abs(Simple.num), K) : false
+      const Den = Num !== false ? Exact.exactRoot(Simple.den, K) : false
+
+      if (Den !== false) {
+        Simple.num = Simple.num < 0n ? -Num : Num
+        Simple.den = Den
+        Simple.root /= K
+      } else {
+        K++
+      }
+    }
+
+    return Simple
   }
 
-  over(that) {
+  get negative() {
+    const Neg = this.copy
+    Neg.num = -Neg.num
+    return Neg
+  }
 
-    if (that.num === 0n) return { error: true }
+  get inverse() {
+    return Exact.raw(this.num < 0n ? -this.den : this.den, Exact.Abs(this.num), this.root)
+  }
 
-    const Num = this.num * that.den
-    const Den = this.den * that.num
-    const AbsDen = Exact.Abs(Den)
-    const GCD = Exact.gcd(Exact.Abs(Num), AbsDen)
+  plus(that, limit = 20) {
+    if (this.root !== 1n || that.root !== 1n) {
+      if (this.num === 0n) return that.copy
+      if (that.num === 0n) return this.copy
 
-    const Factor = Den < 0n ? -1n : 1n
+      const Ratio = this.over(that, limit)
+      if (Ratio.overflow) return Ratio
+      if (Ratio.root !== 1n) return { unrepresentable: true }
 
-    const Div = new Exact(1)
-    Div.num = Factor * Num / GCD
-    Div.den = AbsDen / GCD
+      return that.times(Ratio.plus(new Exact(1)), limit)
+    }
 
-    return Div
+    return Exact.sum(this.num, this.den, that.num, that.den)
   }
 
-  toThe(that) {
-    if (that.root !== 1n) return { error: true }
+  minus(that, limit = 20) {
+    if (this.root !== 1n || that.root !== 1n) return this.plus(that.negative, limit)
 
-    const Root = that.den
+    return Exact.sum(this.num, this.den, -that.num, that.den)
+  }
 
-    const This = that.num < 0n ? this.inverse : this.copy
-    let Res = This.copy
-    
-    const NumAbs = Exact.Abs(that.num)
+  times(that, limit = 20) {
+    if (this.root !== 1n || that.root !== 1n) {
+      const Root = Exact.lcm(this.root, that.root)
+      const PowThis = Root / this.root
+      const PowThat = Root / that.root
 
-    if (NumAbs > 100n) return { overflow: true }
+      const DigitsThis = BigIntLog10(Exact.Abs(this.num) > this.den ? this.num : this.den) + 1
+      const DigitsThat = BigIntLog10(Exact.Abs(that.num) > that.den ? that.num : that.den) + 1
+      if (DigitsThis * Number(PowThis) + DigitsThat * Number(PowThat) > 2 * limit) return { overflow: true }
 
-    for (let i = 1n; i < NumAbs; i += 1n) {
-      Res = Res.times(This)
-      if (Math.abs(BigIntLog10(Res.num) - BigIntLog10(Res.den)) > 20) return { overflow: true }
+      const Num = Exact.power(Exact.Abs(this.num), PowThis) * Exact.power(Exact.Abs(that.num), PowThat)
+      const Den = Exact.power(this.den, PowThis) * Exact.power(that.den, PowThat)
+      const GCD = Exact.gcd(Num, Den)
+      const Sign = (this.num < 0n) !== (that.num < 0n) ? -1n : 1n
+
+      return Exact.raw(Sign * Num / GCD, Den / GCD, Root).simplified
     }
-    const GCD = Exact.gcd(Exact.Abs(Res.num), Res.den)
-    Res.num = Res.num / GCD
-    Res.den = Res.den / GCD
-    Res.root = Root
-    return Res
+
+    return Exact.product(this.num, this.den, that.num, that.den)
+  }
+
+  over(that, limit = 20) {
+
+    if (that.num === 0n) return { error: true }
+    if (this.root !== 1n || that.root !== 1n) return this.times(that.inverse, limit)
+
+    return Exact.product(this.num, this.den, that.num < 0n ? -that.den : that.den, Exact.Abs(that.num))
+  }
+
+  static power(X, Exponent) {
+    // 0, 1 and -1 can have exponents like 69696969 (every denominator is a 1 too), which there's no point squaring through
+    if (X === 0n || X === 1n) return Exponent === 0n ? 1n : X
+    if (X === -1n) return Exponent & 1n ? -1n : 1n
+
+    return X ** Exponent
+  }
+
+  toThe(that, limit = 20) {
+    if (that.root !== 1n) return { error: true }
+    if (this.num === 0n && that.num < 0n) return { error: true }
+    if (this.num < 0n && that.den % 2n === 0n) return { error: true }
+
+    const This = that.num < 0n ? this.inverse : this
+    const NumAbs = Exact.Abs(that.num)
+    const Root = this.root * that.den
+
+    // 0, 1 and -1 stay small no matter the exponent. Anything else with B bits has more than (B - 1) * log10(2) digits to begin with, so
+    // its power has more than exponent times that. When that's already over limit (with a digit to spare for the rounding), it's an
+    // overflow without computing anything. Otherwise it's small enough to just compute, and count the digits it really has
+    const Trivial = This.num === 0n || Exact.Abs(This.num) === This.den
+    const Bits = Exact.bits(Exact.Abs(This.num) > This.den ? This.num : This.den)
+
+    if (!Trivial && Number(NumAbs) * (Bits - 1) * Math.LOG10E * Math.LN2 > limit + 1) return { overflow: true }
+    if (!Trivial && Root > 100n) return { overflow: true }
+
+    const Num = Exact.power(This.num, NumAbs)
+    const Den = Exact.power(This.den, NumAbs)
+    if (!Trivial && (Exact.digits(Num) > limit || Exact.digits(Den) > limit)) return { overflow: true }
+
+    return Exact.raw(Num, Den, Root).simplified
+  }
+
+  get key() {
+    if (this.root !== 1n) return `${this.num}/${this.den}^1/${this.root}`
+    if (this.den !== 1n) return `${this.num}/${this.den}`
+    return this.num.toString()
   }
 
   get display() {
@@ -449,18 +558,29 @@ class Exact {
   }
 }
 
+// 11, 110, 1100, ... and 1, 10, 100, ... as far as anything has needed them
+const Elevens = [11n]
+const Tens = [1n]
+
+// How many times bigInt can be divided by 10 before it's 10 or less. That's its number of digits minus one, or minus two when it starts
+// with 10 (it's what the overflow checks have always counted, so it stays that way). The number of bits gives it to within one, and a
+// comparison or two does the rest
 const BigIntLog10 = (bigInt) => {
-  let counter = 0
-  while (Exact.Abs(bigInt) > 10n) {
-    bigInt /= 10n
-    counter++
+  const Abs = Exact.Abs(bigInt)
+  const eleven = (counter) => {
+    while (Elevens.length <= counter) Elevens.push(Elevens[Elevens.length - 1] * 10n)
+    return Elevens[counter]
   }
 
+  let counter = Math.max(0, Math.floor((Exact.bits(Abs) - 1) * Math.LOG10E * Math.LN2) - 1)
+  while (counter > 0 && Abs < eleven(counter - 1)) counter--
+  while (Abs >= eleven(counter)) counter++
+
   return counter
 }
 
 /*
-Exact will raise a few flags such as error, overflow or float (I only care about integers)
+Exact will raise a few flags such as error, overflow, unrepresentable or float (I only care about integers)
 Now we just make a really simple function that returns pairs of compositions
 */
 
@@ -476,7 +596,7 @@ const compositionPair = (Num) => {
 // Now we need to recreate atoms and expressions using Exact
 
 class Atom2 {
-  constructor (value) {
+  constructor (value, puzzle = SixtyNinePuzzle) {
     this.evaluate = new Exact(value)
 
     const abs = Math.abs(value)
@@ -485,12 +605,14 @@ class Atom2 {
     this.start = Math.floor(abs / (10 ** pow))
     this.end = abs % 10
 
+    this.complete = puzzle.isComplete(this)
+
     this.display = this.evaluate.display
   }
 }
 
 class Expression2 {
-  constructor (leftTerm, operation, rightTerm) {
+  constructor (leftTerm, operation, rightTerm, puzzle = SixtyNinePuzzle) {
     this.left = leftTerm
     this.right = rightTerm
     this.operation = operation
@@ -498,16 +620,16 @@ class Expression2 {
     this.start = leftTerm.start
     this.end = rightTerm.end
 
-    this.complete = this.start === 6 && this.end === 9
+    this.complete = puzzle.isComplete(this)
   }
 
   static get Operations() {
     return {
-      '+': (left, right) => {return left.plus(right)},
-      '-': (left, right) => {return left.minus(right)},
-      '*': (left, right) => {return left.times(right)},
-      '/': (left, right) => {return left.over(right)},
-      '**': (left, right) => {return left.toThe(right)}
+      '+': (left, right, limit) => {return left.plus(right, limit)},
+      '-': (left, right, limit) => {return left.minus(right, limit)},
+      '*': (left, right, limit) => {return left.times(right, limit)},
+      '/': (left, right, limit) => {return left.over(right, limit)},
+      '**': (left, right, limit) => {return left.toThe(right, limit)}
     }
   }
 
@@ -515,7 +637,7 @@ class Expression2 {
     const Left = this.left.evaluate
     const Right = this.right.evaluate
 
-    const Eval = Expression2.Operations[this.operation](Left, Right)
+    const Eval = Operators[this.operation].apply(Left, Right)
     return Eval
   }
 
@@ -527,7 +649,7 @@ class Expression2 {
   }
 }
 
-const getExpression_version2 = (N) => {
+const getExpression_version2 = (N, { reporter = consoleReporter } = {}) => {
 
   const OperationList = Object.keys(Expression2.Operations)
   const knownNumbers = ['69', '-69']
@@ -549,7 +671,7 @@ const getExpression_version2 = (N) => {
     const newList = {float: []}
     const Compositions = compositionPair(operations - 1)
 
-    console.log(`-> Progress: Looking for expressions with ${operations} operations...`)
+    reporter.layer(operations)
 
     Compositions.forEach((composition, index) => {
 
@@ -557,12 +679,12 @@ const getExpression_version2 = (N) => {
       const RightNumbers = List[composition[1]]
       const ignoreSumAndMul = composition[0] < composition[1]
 
-      console.log(` -> Progress: ${(100 * (index / Compositions.length)).toPrecision(3)}%`)
+      reporter.composition(index, Compositions.length)
 
       const Length = Object.keys(LeftNumbers).length
       let counter = 0
       for (const LeftExpressions in LeftNumbers) {
-        if (operations > 3 && counter % 10 === 1) console.log(`  -> Progress: ${(100 * (counter / Length)).toPrecision(3)}%`)
+        if (operations > 3 && counter % 10 === 1) reporter.progress(counter, Length)
         for (const RightExpressions in RightNumbers) {
           for (const Operation of OperationList) {
             if ((ignoreSumAndMul && (Operation === '+' || Operation === '*'))) break
@@ -574,7 +696,7 @@ const getExpression_version2 = (N) => {
 
                   const Verify = newExpression.evaluate
 
-                  if (!Verify.error && !Verify.overflow) {
+                  if (!Verify.error && !Verify.overflow && !Verify.unrepresentable) {
                     const Display = Verify.display
                     if (Display.float) {
                       newList.float.push(newExpression)
@@ -637,91 +759,145 @@ that just cares about the first expression it ever finds for that number.
 
 */
 
-const getExpression_version3 = (N) => {
-
-  const OperationList = Object.keys(Expression2.Operations).filter(op => op !== '**')
-  const knownNumbers = ['69', '-69']
+// It's a generator so searchAsync can stop it after any left expression (see the end of the file), version3 just runs it to the end
+function* layeredSearch(N, { puzzle = SixtyNinePuzzle, checkpoint, range, rationals = false, reporter = silentReporter, solved } = {}) {
 
-  const List = [
-    {
-      '-6': new Atom2(-6),
-      '6': new Atom2(6),
-      '-9': new Atom2(-9),
-      '9': new Atom2(9),
-      '69': new Atom2(69),
-      '-69': new Atom2(-69)
+  const List = checkpoint ? readCheckpoint(checkpoint, puzzle, N) : [puzzle.layer]
+  const Known = new Set()
+  List.forEach((Layer, operations) => {
+    for (const Num in Layer) {
+      if (!Layer[Num].complete) continue
+      Known.add(Num)
+      if (solved) solved(Num, Layer[Num], operations)
     }
-  ]
+  })
 
-  if (N === 0) return List
+  if (List.length > 1) reporter.resume(List.length - 1)
 
-  for (let operations = 1; operations <= N; operations++) {
+  for (let operations = List.length; operations <= N; operations++) {
 
     List[operations] = {}
+    const store = storeExpression(List[operations], Known, operations < N || Boolean(checkpoint), solved && ((Key, expression) => solved(Key, expression, operations)))
+    puzzle.atomsCosting(operations).forEach(atom => keepValue(atom, store))
 
-    const Compositions = compositionPair(operations - 1)
+    const Compositions = puzzle.compositions(operations)
 
-    console.log(`-> Progress: Looking for expressions with ${operations} operations...`)
+    reporter.layer(operations)
 
-    Compositions.forEach((composition, index) => {
+    for (const [index, composition] of Compositions.entries()) {
 
       const LeftNumbers = List[composition[0]]
       const RightNumbers = List[composition[1]]
+      const OperationList = composition[2]
       const ignoreSumAndMul = composition[0] < composition[1]
 
-      console.log(` -> Progress: ${(100 * (index / Compositions.length)).toPrecision(3)}%`)
+      reporter.composition(index, Compositions.length, composition)
 
       const Length = Object.keys(LeftNumbers).length
       let counter = 0
-      let floatCounter = 0
       for (const LeftIndex in LeftNumbers) {
-        if (operations > 4 && counter % Math.floor(Length / 50) === 0) console.log(`  -> Progress: ${(100 * (counter / Length)).toPrecision(3)}%`)
-        for (const RightIndex in RightNumbers) {
+        if (operations > 4 && counter % Math.floor(Length / 50) === 0) reporter.progress(counter, Length)
 
-          const LeftExpression = LeftNumbers[LeftIndex]
-          const RightExpression = RightNumbers[RightIndex]
+        combineExpressions(LeftNumbers[LeftIndex], RightNumbers, { OperationList, ignoreSumAndMul, puzzle }, store)
+        counter++
+        yield { operations, composition, index, compositions: Compositions.length, counter, length: Length }
+      }
+    }
 
-          for (const Operation of OperationList) {
-            if ((ignoreSumAndMul && (Operation === '+' || Operation === '*'))) break
+    applyUnary(List, operations, puzzle, store)
 
-            if (LeftExpression.end !== RightExpression.start) {
-              const newExpression = new Expression2(LeftExpression, Operation, RightExpression)
+    if (checkpoint) writeCheckpoint(checkpoint, puzzle, List, operations)
+  }
 
-              const Verify = newExpression.evaluate
+  return limitRange({ DisplayList: buildDisplayList(List, rationals), knownNumbers: knownKeys(Known, rationals) }, range, reporter)
+}
 
-              if (!Verify.error && !Verify.overflow) {
-                const Display = Verify.display
-                if (Display.float) {
-                  if (operations < N) List[operations]['float' + floatCounter.toString()] = newExpression
-                } else {
-                  if (!knownNumbers.includes(Display) && Display.length < 20) {
-                    if (newExpression.complete || operations < N) List[operations][Display] = newExpression
-                    if (newExpression.complete) knownNumbers.push(Display)
-                  }
-                }
-              }
-            }
+const getExpression_version3 = (N, options = {}) => {
+  const Steps = layeredSearch(N, options)
 
-            floatCounter++
-          }
-        }
-        counter++
+  let Step = Steps.next()
+  while (!Step.done) Step = Steps.next()
+  return Step.value
+}
+
+/*
+These are the inside of version3's loop. combineExpressions joins one left expression with every right one, using every operation,
+and hands each result that's worth keeping to found(key, expression), where key is Exact.key of its value (plus its start and end digits
+for non-integers). storeExpression is what version3 does with them: skip keys we already have a complete expression for, and only keep
+the incomplete ones if there's still another layer after this one.
+*/
+
+const combineExpressions = (LeftExpression, RightNumbers, { OperationList, ignoreSumAndMul, puzzle }, found) => {
+  for (const RightIndex in RightNumbers) {
+    const RightExpression = RightNumbers[RightIndex]
+
+    for (const Operation of OperationList) {
+      if ((ignoreSumAndMul && (Operation === '+' || Operation === '*'))) continue
+
+      const { accepts } = Operators[Operation]
+      if (puzzle.canJoin(LeftExpression, RightExpression) && (!accepts || accepts(LeftExpression, RightExpression))) {
+        keepValue(new Expression2(LeftExpression, Operation, RightExpression, puzzle), found)
       }
-    })
+    }
+  }
+}
+
+const keepValue = (newExpression, found) => {
+  const Verify = newExpression.evaluate
+
+  if (!Verify.error && !Verify.overflow && !Verify.unrepresentable) {
+    const Key = Verify.key
+    if (!isIntegerKey(Key)) found(`${Key}:${newExpression.start}${newExpression.end}`, newExpression)
+    else if (Key.replace('-', '').length < 20) found(Key, newExpression)
+  }
+}
+
+const storeExpression = (Layer, Known, keep, solved) => {
+  return (Key, newExpression) => {
+    if (Known.has(Key)) return
+
+    if (newExpression.complete || keep) Layer[Key] = newExpression
+    if (newExpression.complete) {
+      Known.add(Key)
+      if (solved) solved(Key, newExpression)
+    }
   }
+}
+
+const isIntegerKey = (Key) => !Key.includes('/')
+const integerKeys = (Known) => [...Known].filter(isIntegerKey)
+
+// Radicals have a ^ in their key, so anything else is a fraction (or an integer)
+const isRationalKey = (Key) => !Key.includes('^')
+const valueKey = (Key) => Key.split(':')[0]
+const listable = (Key) => valueKey(Key).replace('-', '').split('/').every(Part => Part.length < 20)
+
+const knownKeys = (Known, rationals) => {
+  if (!rationals) return integerKeys(Known)
+  return [...new Set([...Known].filter(isRationalKey).filter(listable).map(valueKey))]
+}
 
+const buildDisplayList = (List, rationals = false) => {
   const DisplayList = []
+  const Listed = new Set()
 
   List.forEach(N => {
     const Obj = {}
     for (const Num in N) {
-      const DisplayNum = N[Num].complete ? N[Num].display : false
+      const DisplayNum = N[Num].complete && isIntegerKey(Num) ? N[Num].display : false
       if (DisplayNum) Obj[Num] = DisplayNum
+
+      // A fraction can be complete with more than one pair of digits around it, but it only goes in the table once
+      const Fraction = valueKey(Num)
+      if (rationals && N[Num].complete && !isIntegerKey(Num) && isRationalKey(Num) && listable(Num) && !Listed.has(Fraction)) {
+        Listed.add(Fraction)
+        Obj[Fraction] = N[Num].display
+      }
     }
     DisplayList.push(Obj)
   })
 
-  return {DisplayList, knownNumbers}
+  return DisplayList
 }
 
 /*
@@ -754,4 +930,2887 @@ N     Average time taken (in seconds)
 5    11.219
 6   226.500-ish (I only tested it 3 times cause I don't have that much time)
 
-*/
\ No newline at end of file
+UPDATE 2: ** is back! Leaving it out means the tables above are wrong for numbers that actually need a power, like
+27 = (-6 + 9) ** (-6 + 9). The old toThe multiplied one step at a time and counted digits with BigIntLog10 after every single
+multiplication, which is why it was so slow. Now it's square-and-multiply (Exact.power), and when the result is certainly going to be
+too big (the number of bits in the base times the exponent says so), it doesn't compute anything. Everything else is small enough to
+just compute, and then it only overflows if it really has more than 20 digits. Since the fraction is already reduced, the powers of num
+and den don't need another gcd either.
+It also fixes two bugs: X ** 0 was returning X (the loop just never ran), and the root of the base was being thrown away, so
+(9 ** (1/2)) ** (1/3) would have forgotten about the square root. Now the roots multiply, and an even root of a negative number is an error.
+
+UPDATE 3: every single expression goes through Exact at least once, so I wrote benchmark.js to see how much of the search it really is.
+It was about half of search(4). What changed:
+- Most of the time, both sides are integers, and then there's nothing to reduce at all. When only one of them is, the result can't be
+  reduced either (a + c * b has nothing in common with b, if a doesn't), so those skip the gcd too.
+- For two fractions, + only needs the gcd of the denominators, and of the numerator with that (Exact.sum), and * only needs num with
+  the other den (Exact.product). Those are a lot smaller than the gcd of the whole result, and the answer is still fully reduced. I tried
+  a binary gcd too, but shifting and subtracting BigInts is slower than % on numbers this size.
+- Exact.power is BigInt's own **, and doesn't compute things like 1 ** 69696969 at all (every den is a 1, so that happened a lot).
+- exactRoot guesses the root with floating point, which is exact when the root has less than 32 bits, so that's one power to check
+  instead of a Newton's method.
+- BigIntLog10 and the bit counts don't write the number out or divide it by 10 over and over anymore. The number of bits gives the
+  number of digits to within one, and comparing with a power of 10 settles it.
+- Results that are already reduced go through Exact.raw, which just sets num, den and root, instead of being divided through again.
+Every value comes out exactly like before. Arithmetic takes about a third less time now, and it's down to about 40% of
+search(4) (node benchmark.js 5 for search(5)).
+
+UPDATE 4: that `break` for + and * in combineExpressions was a break, not a continue, and + and * come first in OperationList. So
+whenever the left side had fewer operations than the right, - / and ** were skipped too, and ** never got a smaller base than exponent.
+It's a continue now. search(4) has 3740 numbers instead of 2875, and it takes about 40% longer. The layers aren't the same anymore, so
+the checkpoint format is 4 now, and an older checkpoint has to be started over.
+
+UPDATE 5: the check in toThe used to be (digits of the base) * exponent > 20, which was way too careful. 15 ** 15 only has 18 digits and
+2 ** 60 has 19, but they were both overflows, and so was anything made out of them. Now only powers that are over 20 digits for sure
+are skipped, and the rest get counted exactly (Exact.digits). search(4) has 3762 numbers.
+
+*/
+
+/*
+
+Most of the time I don't even want the whole table. I just want to know p(N) for a single number, like "what's the shortest way to
+write 420?". Running getExpression_version3 for 6 operations and digging through the DisplayList just to answer that is a lot of waiting.
+
+So findShortest does the same layered search, but it stops the moment it finds a complete expression for the target. Since layer X is
+only built after every layer before it, the first one we find is already in the lowest layer it could be in, so its operation count is
+the minimal one, as far as the same filters as version3 go: nothing with 20 or more digits, and no power with more digits than
+Exact's limit. So if it finds nothing, that only means nothing within those filters. Only prove's certify says a number really can't
+be written in less (15 ** 15 = 437893890380859375 has 18 digits and is found in 3 operations, but 10 ** 20 never would be).
+
+There are three differences from version3 though:
+(1) It doesn't skip + and * when the left side has fewer operations. (a + b) and (b + a) have the same value but not the same start and
+  end digits, so one of them can be complete while the other isn't.
+(2) Incomplete and non-integer expressions are kept in every layer below maxOperations, because any of them could be the missing piece.
+(3) Layers are kept by value AND start and end digits (shapeKey, like findAllShortest), not just by value. Two pieces with the same
+  value can't stand in for each other if they end on different digits: once (-6 + 9) was there, the 3 that ends on a 9 never made it
+  into a layer, so 11 = ((-6 / (-9 - -6)) - -9) took 4 operations instead of 3, and -216 = (-6 ** (-9 / (6 + -9))) wasn't found at all.
+  It makes the layers up to 4 times bigger, and findShortest about 50% slower.
+
+*/
+
+const findShortest = (target, { maxOperations = 6, puzzle = SixtyNinePuzzle, reporter = silentReporter } = {}) => {
+
+  const Target = exactOf(target).key
+  const Literals = needsLiterals(puzzle)
+
+  const List = []
+  const Known = new Set()
+
+  const Found = (expression, operations) => {
+    return { expression, display: expression.display, operations }
+  }
+
+  for (let operations = 0; operations <= maxOperations; operations++) {
+
+    List[operations] = {}
+    const Keep = operations < maxOperations
+
+    let Result = null
+    const found = (Key, newExpression) => {
+      const Shape = literalKey(shapeKey(Key, newExpression), newExpression, Literals)
+      if (Known.has(Shape)) return
+
+      if (!Result && newExpression.complete && valueKey(Key) === Target) Result = Found(newExpression, operations)
+      if (Keep) {
+        Known.add(Shape)
+        List[operations][Shape] = newExpression
+      }
+    }
+
+    if (operations > 0) reporter.layer(operations)
+
+    puzzle.atomsCosting(operations).forEach(atom => keepValue(atom, found))
+    if (Result) return Result
+
+    for (const composition of puzzle.compositions(operations)) {
+
+      const LeftNumbers = List[composition[0]]
+      const RightNumbers = List[composition[1]]
+
+      for (const LeftIndex in LeftNumbers) {
+        combineExpressions(LeftNumbers[LeftIndex], RightNumbers, { OperationList: composition[2], ignoreSumAndMul: false, puzzle }, found)
+        if (Result) return Result
+      }
+    }
+
+    applyUnary(List, operations, puzzle, found)
+    if (Result) return Result
+  }
+
+  return null
+}
+
+// Target   findShortest(target).display            .operations
+// 1        (69 / 69)                               1
+// 3        (-6 - -9)                               1
+// 11       ((-6 / (-9 - -6)) - -9)                 3
+// 14       (((69 + 69) / 6) + -9)                  3
+// -5       (((-6 / -9) * 6) + -9)                  3
+// 420      ((((69 * 6) + -9) - -6) - -9)           4
+
+/*
+
+About that root field in Exact. toThe has been setting it since version2 (9 ** (1/2) gives num = 9, root = 2), but plus, minus, times and
+over just ignored it, so (9 ** (1/2)) * 6 came out as 54. Anything with a root was being silently computed wrong, or flagged float and
+thrown away, even when it could have led somewhere, like 6 ** (2/3) * 6 ** (1/3) = 6.
+
+So now an Exact really means sign(num) * (|num| / den) ** (1 / root), and it's always kept simplified: the fraction is reduced and the root
+is as small as it can be (Exact.exactRoot does the integer K-th roots with Newton's method). That way 9 ** (1/2) is just 3, and two equal
+numbers always look the same. Keeping the sign outside of the root means -(2 ** (1/2)) can be stored too, and for odd roots it's the same
+thing as the real root of a negative number anyway, so (-8) ** (1/3) = -2.
+
+- times and over just bring both sides to the same root (the lcm of the two) and multiply what's under it
+- plus and minus only have a closed form when one side is a rational multiple of the other, like 2 * 2 ** (1/2) + 2 ** (1/2). For
+  everything else (1 + 2 ** (1/2) for example) there's no way to write the result in this form, so it returns { unrepresentable: true }
+  and the search drops it, same as an overflow
+- roots bigger than 100 count as an overflow, just like exponents used to
+
+*/
+
+// Exact                                    value
+// 9 ** (1/2)                               3
+// (-8) ** (1/3)                            -2
+// 6 ** (2/3) * 6 ** (1/3)                  6
+// (69 ** (6/9)) ** (3/2)                   69
+// 2 ** (1/2) + 2 ** (1/2)                  8 ** (1/2)
+// 2 ** (1/2) + 1                           unrepresentable
+
+/*
+
+Nothing in the layered search is actually about 6 and 9, except for three hardcoded things: the list of atoms, the rule that a 6 can't
+touch a 6 (or a 9 a 9), and "complete means it starts on a 6 and ends on a 9". Atom2 already gets its start and end digits from any
+integer, so if those three things come from somewhere else, the same search works for any other version of the puzzle.
+
+A Puzzle has:
+- atoms: the integers we're allowed to use
+- forbidden: pairs of [end, start] digits that can't be next to each other at a join
+- starts, ends: which digits a complete expression can start and end on
+
+Atom2, Expression2, getExpression_version3 and findShortest all take a puzzle (as an option for the last two) and default to the original
+one, so nothing changes for 69.
+
+*/
+
+class Puzzle {
+  constructor ({ atoms, forbidden, starts, ends, operators = ['+', '-', '*', '/', '**'], costs = {} }) {
+    this.forbidden = forbidden
+    this.starts = starts
+    this.ends = ends
+    this.operators = operators
+    this.costs = costs
+
+    this.atoms = atoms.map(value => new Atom2(value, this))
+
+    for (const Name in costs) {
+      const Atom = this.atoms.some(atom => atom.display === Name)
+      if (!Atom) operator(Name)
+      if (!Number.isInteger(costs[Name]) || costs[Name] < (Atom ? 0 : 1)) {
+        throw new Error(`The cost of ${Name} has to be an integer, at least ${Atom ? 0 : 1}, not ${costs[Name]}`)
+      }
+    }
+  }
+
+  canJoin(left, right) {
+    return !this.forbidden.some(([end, start]) => left.end === end && right.start === start)
+  }
+
+  isComplete(term) {
+    return this.starts.includes(term.start) && this.ends.includes(term.end)
+  }
+
+  get layer() {
+    const Layer = {}
+    this.atomsCosting(0).forEach(atom => { Layer[atom.display] = atom })
+    return Layer
+  }
+
+  get config() {
+    const { forbidden, starts, ends, operators, costs } = this
+    return { atoms: this.atoms.map(atom => atom.display), forbidden, starts, ends, operators, costs }
+  }
+
+  get binary() {
+    return this.operators.filter(name => operator(name).arity === 2)
+  }
+
+  get unary() {
+    return this.operators.filter(name => operator(name).arity === 1)
+  }
+
+  // The same puzzle with other operators, for comparing rule sets
+  withOperators(operators) {
+    operators.forEach(operator)
+    return new Puzzle({ ...this.config, atoms: this.config.atoms.map(Number), operators })
+  }
+
+  // An atom costs 0 and an operator costs 1 (or whatever it says in Operators) unless costs says otherwise
+  cost(name) {
+    if (this.costs.hasOwnProperty(name)) return this.costs[name]
+    if (this.atoms.some(atom => atom.display === name)) return 0
+    return operator(name).cost || 1
+  }
+
+  withCosts(costs) {
+    return new Puzzle({ ...this.config, atoms: this.config.atoms.map(Number), costs })
+  }
+
+  atomsCosting(operations) {
+    return this.atoms.filter(atom => this.cost(atom.display) === operations)
+  }
+
+  // Every [left layer, right layer, operators] that makes something that costs this much, one group for every binary operator cost
+  compositions(operations) {
+    const Groups = new Map()
+    this.binary.forEach(name => {
+      const Cost = this.cost(name)
+      if (Cost <= operations) Groups.set(Cost, [...(Groups.get(Cost) || []), name])
+    })
+
+    const Compositions = []
+    Groups.forEach((OperationList, Cost) => {
+      compositionPair(operations - Cost).forEach(([left, right]) => Compositions.push([left, right, OperationList]))
+    })
+    return Compositions
+  }
+}
+
+const SixtyNinePuzzle = new Puzzle({
+  atoms: [-6, 6, -9, 9, 69, -69],
+  forbidden: [[6, 6], [9, 9]],
+  starts: [6],
+  ends: [9]
+})
+
+// Same idea, but the digits have to read 420420...420
+const FourTwentyPuzzle = new Puzzle({
+  atoms: [-4, 4, -2, 2, -42, 42, -20, 20, -420, 420],
+  forbidden: [[4, 4], [4, 0], [2, 2], [2, 4], [0, 0], [0, 2]],
+  starts: [4],
+  ends: [0]
+})
+
+// findShortest(100, { puzzle: FourTwentyPuzzle }).display    (((-420 / -420) - -4) * 20)
+// findShortest(69, { puzzle: FourTwentyPuzzle }).display     ((((-420 / -4) + -20) - -4) + -20)
+
+/*
+
+A 6 operation run takes minutes, and if anything happens in the middle of it (or I just want to go for 7 afterwards) all of it is gone,
+because the layers only ever lived in memory.
+
+So getExpression_version3(N, { checkpoint: 'some/folder' }) now writes every layer to that folder as soon as it's done, and the next run
+with the same folder starts from the last finished layer instead of from scratch. It's Node only, since it needs the file system.
+
+Every layer goes in its own file as a list of rows: [key, operation, left layer, left key, right layer, right key]. Each expression points
+to the ones it's made of in earlier layers, so nothing is ever written twice, and the atoms in layer 0 just come from the puzzle.
+There's also a meta.json with the puzzle and how many layers are finished, which is written last, so a layer that was only half written
+doesn't count.
+
+Normally the last layer only keeps complete expressions (see the UPDATE about that), but a layer like that is useless for going one
+operation further. So with a checkpoint every layer is kept whole, and a finished N=5 run can be extended to N=6 by only computing layer 6.
+(That's also why the DisplayList doesn't list the 'float' keys anymore. They were never integers to begin with, and a resumed run would
+have listed more of them than a fresh one.)
+
+*/
+
+// Goes up every time the layers themselves change, since a checkpoint from before would be resumed into something else
+const CheckpointFormat = 4
+
+// fs.mkdirSync only has { recursive: true } since Node 10.12, so the parent directories are made one at a time
+const makeDirectory = (directory) => {
+  const fs = require('fs')
+  const path = require('path')
+
+  if (fs.existsSync(directory)) return
+  makeDirectory(path.dirname(directory))
+  fs.mkdirSync(directory)
+}
+
+const writeCheckpoint = (directory, puzzle, List, operations) => {
+  const fs = require('fs')
+  const path = require('path')
+
+  const References = new Map()
+  List.forEach((Layer, index) => {
+    for (const Key in Layer) References.set(Layer[Key], [index, Key])
+  })
+
+  const Rows = serialiseLayer(List[operations], References)
+  const Meta = { format: CheckpointFormat, puzzle: puzzle.config, layers: operations }
+
+  makeDirectory(directory)
+  fs.writeFileSync(path.join(directory, `layer-${operations}.json`), JSON.stringify(Rows))
+  fs.writeFileSync(path.join(directory, 'meta.tmp'), JSON.stringify(Meta))
+  fs.renameSync(path.join(directory, 'meta.tmp'), path.join(directory, 'meta.json'))
+}
+
+const readCheckpoint = (directory, puzzle, N) => {
+  const fs = require('fs')
+  const path = require('path')
+
+  const List = [puzzle.layer]
+  const MetaFile = path.join(directory, 'meta.json')
+  if (!fs.existsSync(MetaFile)) return List
+
+  const Meta = JSON.parse(fs.readFileSync(MetaFile, 'utf8'))
+  if (Meta.format !== CheckpointFormat) {
+    throw new Error(`The checkpoint in ${directory} was made by an older version of the search, start a new one`)
+  }
+  if (JSON.stringify(Meta.puzzle) !== JSON.stringify(puzzle.config)) {
+    throw new Error(`The checkpoint in ${directory} was made for a different puzzle`)
+  }
+
+  for (let operations = 1; operations <= Math.min(Meta.layers, N); operations++) {
+    const Rows = JSON.parse(fs.readFileSync(path.join(directory, `layer-${operations}.json`), 'utf8'))
+    List.push(deserialiseLayer(Rows, List, puzzle))
+  }
+
+  return List
+}
+
+const serialiseLayer = (Layer, References) => {
+  const Rows = []
+  const Entries = Array.isArray(Layer) ? Layer : Object.entries(Layer)
+  for (const [Key, expression] of Entries) {
+    const Children = expression.operand ? [expression.operand] : expression.left ? [expression.left, expression.right] : []
+    Rows.push(Children.length === 0 ? [Key] : [Key, expression.operation, ...[].concat(...Children.map(child => References.get(child)))])
+  }
+  return Rows
+}
+
+const deserialiseLayer = (Rows, List, puzzle) => {
+  const Layer = {}
+  Rows.forEach(([Key, Operation, LeftLayer, LeftKey, RightLayer, RightKey]) => {
+    Layer[Key] = Operation === undefined ? puzzle.atoms.find(atom => atom.display === Key)
+      : RightLayer === undefined ? new Unary2(Operation, List[LeftLayer][LeftKey], puzzle)
+      : new Expression2(List[LeftLayer][LeftKey], Operation, List[RightLayer][RightKey], puzzle)
+  })
+  return Layer
+}
+
+/*
+
+Up to now the only way of running any of this was test.html, which loads this file into a browser tab and does nothing else. I want to
+run searches from scripts and leave them running overnight, so there's a command line tool now, cli.js (it's the `sixtynine` command
+if you install the folder with npm):
+
+sixtynine search --max-ops 5 --range -1000:1000 --format csv
+sixtynine solve 420
+
+It just calls getExpression_version3 and findShortest.
+
+The progress lines used to be console.log calls right in the middle of the search, which doesn't work when the output is a CSV file that
+another script is going to read. So the searches take a reporter now: an object that gets told when a layer starts, how far along the
+compositions are, and so on, and decides what to do with that. consoleReporter prints the exact same lines as before. The default is
+silentReporter though: when someone calls findShortest from their own code, "-> Progress" lines showing up in their stdout is just noise.
+cli.js passes a reporter of its own, which writes to stderr.
+
+*/
+
+const createReporter = (write) => {
+  return {
+    resume: (operations) => write(`-> Progress: Resuming from ${operations} operations`),
+    layer: (operations) => write(`-> Progress: Looking for expressions with ${operations} operations...`),
+    composition: (index, total) => write(` -> Progress: ${(100 * (index / total)).toPrecision(3)}%`),
+    progress: (counter, total) => write(`  -> Progress: ${(100 * (counter / total)).toPrecision(3)}%`),
+    spill: (operations) => write(`-> Progress: Moved the layer with ${operations} operations to disk`),
+    range: ({ unreached, asymmetric }) => {
+      const Unreached = unreached.map(([from, to]) => from === to ? from : `${from}..${to}`)
+      const Count = (operations) => operations === null ? 'not reached' : operations
+      const Asymmetric = asymmetric.map(({ number, positive, negative }) => `${number} (${Count(positive)} vs ${Count(negative)})`)
+
+      write(`-> Not reached: ${Unreached.length > 0 ? Unreached.join(', ') : 'nothing, every number in the range was found'}`)
+      write(`-> p(-N) isn't p(N) for ${Asymmetric.length} numbers${Asymmetric.length > 0 ? `: ${Asymmetric.join(', ')}` : ''}`)
+    }
+  }
+}
+
+const consoleReporter = createReporter(line => console.log(line))
+const silentReporter = createReporter(() => {})
+
+/*
+
+Expression2.display turns a tree into a string, but nothing goes the other way. And when someone sends me "hey, I got 420 in 3
+operations!", I want to check that it's actually right: that it only uses atoms, that no 6 touches another 6 (or a 9 another 9), that it
+starts on a 6 and ends on a 9, and that nothing in it divides by zero.
+
+So parse(string) builds the Expression2 tree back from something like ((-6 + 9) * 6) + 9, and tells you everything that's wrong with it.
+Parentheses can be left out where the usual rules already make it clear: ** goes first (and from the right, so 6 ** 9 ** 6 is
+6 ** (9 ** 6)), then * and /, then + and -. A minus glued to a number is part of the atom, just like in display, so -6 ** 9 is (-6) ** 9.
+
+It returns { expression, display, value, operations, valid, complete, errors }, where every error is { type, message, position } and the type
+is one of:
+- syntax: the string isn't an expression at all (and there's no tree in that case)
+- atom: a number that isn't one of the puzzle's atoms
+- operator: an operator the puzzle doesn't allow, or a concatenation of something that isn't just digits
+- adjacency: a join that puts a 6 next to a 6 or a 9 next to a 9
+- division: dividing by something that's zero (with /, % or //)
+- evaluation: anything else Exact refused to compute (an overflow, the even root of a negative number...)
+- start, end: it's valid, but it doesn't start or end on the right digit, so it isn't complete
+
+*/
+
+const tokenize = (text) => {
+  const Tokens = []
+  const Space = /\s*/y
+  const Pattern = /\d+|\*\*|\/\/|\|\||sqrt|[-+*/()%!]/y
+
+  let position = 0
+  while (true) {
+    Space.lastIndex = position
+    Space.exec(text)
+    position = Space.lastIndex
+    if (position >= text.length) break
+
+    Pattern.lastIndex = position
+    const Match = Pattern.exec(text)
+    if (!Match) return { error: true, position }
+
+    Tokens.push({ value: Match[0], position })
+    position = Pattern.lastIndex
+  }
+
+  return Tokens
+}
+
+const parse = (text, { puzzle = SixtyNinePuzzle } = {}) => {
+
+  const Result = { expression: null, display: null, value: null, operations: 0, valid: false, complete: false, errors: [] }
+  const Report = (type, message, position) => Result.errors.push({ type, message, position })
+
+  const Tokens = tokenize(text)
+  if (Tokens.error) {
+    Report('syntax', `Unexpected character "${text[Tokens.position]}" at position ${Tokens.position}`, Tokens.position)
+    return Result
+  }
+
+  const AtomDisplays = puzzle.atoms.map(atom => atom.display)
+  const Values = new Map()
+  let index = 0
+
+  const Peek = () => Tokens[index] ? Tokens[index].value : undefined
+  const Position = () => Tokens[index] ? Tokens[index].position : text.length
+
+  const Expected = (what) => {
+    const Found = Peek() === undefined ? 'the end' : `"${Peek()}"`
+    throw { syntax: true, message: `Expected ${what} at position ${Position()}, found ${Found}`, position: Position() }
+  }
+
+  const Evaluate = (Node, Operands, position) => {
+    if (!puzzle.operators.includes(Node.operation)) {
+      Report('operator', `${Node.operation} at position ${position} is not one of the puzzle's operators`, position)
+    }
+
+    const OperandValues = Operands.map(operand => Values.get(operand))
+    if (OperandValues.some(value => !value)) return Node
+
+    const Value = Operators[Node.operation].apply(...OperandValues)
+
+    if ((Node.operation === '/' || Node.operation === '%' || Node.operation === '//') && OperandValues[1].num === 0n) {
+      Report('division', `${Node.display} divides by zero at position ${position}`, position)
+    } else if (Value.error || Value.overflow || Value.unrepresentable) {
+      const Reason = Value.overflow ? 'overflows' : Value.unrepresentable ? 'has no exact closed form' : 'is not a real number'
+      Report('evaluation', `${Node.display} ${Reason} at position ${position}`, position)
+    } else {
+      Values.set(Node, Value)
+    }
+
+    return Node
+  }
+
+  const Join = (left, operation, right, position) => {
+    const Node = new Expression2(left, operation, right, puzzle)
+    Result.operations += puzzle.cost(operation)
+
+    if (!puzzle.canJoin(left, right)) {
+      Report('adjacency', `${Node.display} joins a ${left.end} with a ${right.start} at position ${position}`, position)
+    }
+
+    const { accepts } = Operators[operation]
+    if (accepts && !accepts(left, right)) {
+      Report('operator', `${Node.display} at position ${position} can only ${operation} digits`, position)
+    }
+
+    return Evaluate(Node, [left, right], position)
+  }
+
+  const Apply = (operation, operand, position) => {
+    Result.operations += puzzle.cost(operation)
+    return Evaluate(new Unary2(operation, operand, puzzle), [operand], position)
+  }
+
+  const Parenthesised = () => {
+    if (Peek() !== '(') Expected('"("')
+    index++
+    const Inside = Sum()
+    if (Peek() !== ')') Expected('")"')
+    index++
+    return Inside
+  }
+
+  const Primary = () => {
+    const position = Position()
+
+    if (Peek() === '(') return Parenthesised()
+
+    if (Peek() === 'sqrt') {
+      index++
+      return Apply('sqrt', Parenthesised(), position)
+    }
+
+    let Sign = ''
+    if (Peek() === '-') {
+      Sign = '-'
+      index++
+      if (Peek() === '(' || Peek() === 'sqrt') return Apply('neg', Factorial(), position)
+    }
+    if (!/^\d+$/.test(Peek() || '')) Expected('a number or "("')
+
+    const Value = Sign + Peek()
+    index++
+
+    const atom = new Atom2(Number(Value), puzzle)
+    if (!AtomDisplays.includes(atom.display)) Report('atom', `${Value} at position ${position} is not an atom`, position)
+    else Result.operations += puzzle.cost(atom.display)
+    Values.set(atom, atom.evaluate)
+
+    return atom
+  }
+
+  const Factorial = () => {
+    let Operand = Primary()
+    while (Peek() === '!') {
+      Operand = Apply('!', Operand, Position())
+      index++
+    }
+    return Operand
+  }
+
+  const Concatenation = () => {
+    let Left = Factorial()
+    while (Peek() === '||') {
+      const position = Position()
+      index++
+      Left = Join(Left, '||', Factorial(), position)
+    }
+    return Left
+  }
+
+  const Power = () => {
+    const Base = Concatenation()
+    if (Peek() !== '**') return Base
+
+    const position = Position()
+    index++
+    return Join(Base, '**', Power(), position)
+  }
+
+  const Product = () => {
+    let Left = Power()
+    while (['*', '/', '%', '//'].includes(Peek())) {
+      const Operation = Peek()
+      const position = Position()
+      index++
+      Left = Join(Left, Operation, Power(), position)
+    }
+    return Left
+  }
+
+  const Sum = () => {
+    let Left = Product()
+    while (Peek() === '+' || Peek() === '-') {
+      const Operation = Peek()
+      const position = Position()
+      index++
+      Left = Join(Left, Operation, Product(), position)
+    }
+    return Left
+  }
+
+  try {
+    const Tree = Sum()
+    if (index < Tokens.length) Expected('an operation')
+    Result.expression = Tree
+  } catch (error) {
+    if (!error.syntax) throw error
+    Result.errors = []
+    Result.operations = 0
+    Report('syntax', error.message, error.position)
+    return Result
+  }
+
+  const Tree = Result.expression
+  Result.display = Tree.display
+  Result.value = Values.get(Tree) || null
+  Result.valid = Result.errors.length === 0
+
+  if (!puzzle.starts.includes(Tree.start)) Report('start', `${Tree.display} starts on a ${Tree.start}`, 0)
+  if (!puzzle.ends.includes(Tree.end)) Report('end', `${Tree.display} ends on a ${Tree.end}`, text.trimEnd().length - 1)
+  Result.complete = Result.valid && Tree.complete
+
+  return Result
+}
+
+// parse(string)                .value       .complete   .errors
+// ((69 + 69) / 6) - 9          14           true
+// (6 + 69)                     75           false       adjacency: (6 + 69) joins a 6 with a 6 at position 3
+// 9 ** 6                       531441       false       start: (9 ** 6) starts on a 9, end: (9 ** 6) ends on a 6
+// (6 + 9) / (69 - 69)          null         false       division: ((6 + 9) / (69 - 69)) divides by zero at position 8
+
+/*
+
+N=6 takes almost 4 minutes on one core, and N=7 is hopeless like that. But every composition pair, and every left expression inside of
+it, can be done on its own, so there's no reason for the other cores to sit there doing nothing.
+
+searchParallel(N, { workers }) does the same thing as version3, but spread over Node worker threads (one per core by default), and it
+returns a Promise. Every worker runs this same file, keeps its own copy of the layers (sent over as the same rows the checkpoints use),
+and gets small tasks: one composition pair and a range of left expressions. It runs combineExpressions on that range and sends back the
+expressions it would keep.
+
+The tricky part is getting the exact same answer as a serial run, since version3 keeps the FIRST complete expression it finds for each
+number (and the order of the keys decides what gets found first in the next layers). So:
+- the tasks are numbered in the order version3 would have gone through them, and the results are merged in that order, no matter which
+  worker finishes first
+- a worker can't know what the tasks before it found, so it only throws away what was already known when the layer started. For every
+  number it sends back the last incomplete expression it saw, where it first saw one, and then the first complete one, where it saw it.
+  Everything in between would have been overwritten anyway. The merge runs them through the same storeExpression as version3
+
+*/
+
+const searchParallel = (N, { puzzle = SixtyNinePuzzle, workers = require('os').cpus().length, range, rationals = false, reporter = silentReporter } = {}) => {
+  const { Worker } = require('worker_threads')
+
+  const List = [puzzle.layer]
+  const Known = new Set(Object.keys(List[0]).filter(Num => List[0][Num].complete))
+
+  const References = new Map()
+  for (const Key in List[0]) References.set(List[0][Key], [0, Key])
+
+  const Pool = []
+  for (let i = 0; i < Math.max(1, workers); i++) {
+    Pool.push(new Worker(__filename, { workerData: { parallelSearch: true, puzzle: puzzle.config } }))
+  }
+
+  const runLayer = (operations) => new Promise((resolve, reject) => {
+    const Layer = List[operations] = {}
+    const store = storeExpression(Layer, Known, operations < N)
+    const Compositions = puzzle.compositions(operations)
+
+    puzzle.atomsCosting(operations).forEach(atom => keepValue(atom, store))
+
+    reporter.layer(operations)
+
+    const Tasks = []
+    Compositions.forEach((composition, index) => {
+      const Length = Object.keys(List[composition[0]]).length
+      const Size = Math.max(1, Math.ceil(Length / (Pool.length * 4)))
+      for (let from = 0; from < Length; from += Size) Tasks.push({ composition, index, from, to: Math.min(from + Size, Length) })
+    })
+
+    if (Tasks.length === 0) return resolve()
+
+    const Start = {
+      type: 'start',
+      rows: operations > 1 ? serialiseLayer(List[operations - 1], References) : null,
+      known: [...Known],
+      keep: operations < N
+    }
+
+    const Results = new Map()
+    let next = 0
+    let merged = 0
+
+    const Send = (worker) => {
+      if (next >= Tasks.length) return
+      const { composition, from, to } = Tasks[next]
+      worker.postMessage({ type: 'task', id: next, composition, from, to })
+      next++
+    }
+
+    Pool.forEach(worker => {
+      worker.removeAllListeners('message')
+      worker.removeAllListeners('error')
+
+      worker.on('error', reject)
+      worker.on('message', ({ id, rows }) => {
+        Results.set(id, rows)
+
+        while (Results.has(merged)) {
+          const Task = Tasks[merged]
+          if (Task.from === 0) reporter.composition(Task.index, Compositions.length)
+
+          Results.get(merged).forEach(([Key, Operation, LeftLayer, LeftKey, RightLayer, RightKey]) => {
+            store(Key, new Expression2(List[LeftLayer][LeftKey], Operation, List[RightLayer][RightKey], puzzle))
+          })
+
+          Results.delete(merged)
+          merged++
+        }
+
+        if (merged === Tasks.length) resolve()
+        else Send(worker)
+      })
+
+      worker.postMessage(Start)
+      Send(worker)
+    })
+  })
+
+  const run = async () => {
+    for (let operations = 1; operations <= N; operations++) {
+      await runLayer(operations)
+      applyUnary(List, operations, puzzle, storeExpression(List[operations], Known, operations < N))
+      for (const Key in List[operations]) References.set(List[operations][Key], [operations, Key])
+    }
+
+    return limitRange({ DisplayList: buildDisplayList(List, rationals), knownNumbers: knownKeys(Known, rationals) }, range, reporter)
+  }
+
+  const Stop = () => Promise.all(Pool.map(worker => worker.terminate()))
+
+  return run().then(
+    result => Stop().then(() => result),
+    error => Stop().then(() => { throw error })
+  )
+}
+
+const runSearchWorker = (parentPort, { puzzle: config }) => {
+  const puzzle = new Puzzle({ ...config, atoms: config.atoms.map(Number) })
+
+  const List = [puzzle.layer]
+  const References = new Map()
+  for (const Key in List[0]) References.set(List[0][Key], [0, Key])
+
+  let Known = new Set()
+  let keep = true
+
+  parentPort.on('message', message => {
+    if (message.type === 'start') {
+      if (message.rows) {
+        const Layer = deserialiseLayer(message.rows, List, puzzle)
+        for (const Key in Layer) References.set(Layer[Key], [List.length, Key])
+        List.push(Layer)
+      }
+
+      Known = new Set(message.known)
+      keep = message.keep
+      return
+    }
+
+    const { id, composition, from, to } = message
+    const LeftNumbers = List[composition[0]]
+    const RightNumbers = List[composition[1]]
+    const OperationList = composition[2]
+    const ignoreSumAndMul = composition[0] < composition[1]
+
+    const Entries = []
+    const Found = new Map()
+    const found = (Key, newExpression) => {
+      if (Known.has(Key)) return
+      if (!keep && !newExpression.complete) return
+
+      const Previous = Found.get(Key)
+      if (!Previous) {
+        Found.set(Key, { slot: Entries.length, complete: newExpression.complete })
+        Entries.push([Key, newExpression])
+      } else if (!Previous.complete && newExpression.complete) {
+        Previous.complete = true
+        Entries.push([Key, newExpression])
+      } else if (!Previous.complete) {
+        Entries[Previous.slot][1] = newExpression
+      }
+    }
+
+    Object.keys(LeftNumbers).slice(from, to).forEach(LeftIndex => {
+      combineExpressions(LeftNumbers[LeftIndex], RightNumbers, { OperationList, ignoreSumAndMul, puzzle }, found)
+    })
+
+    parentPort.postMessage({ id, rows: serialiseLayer(Entries, References) })
+  })
+}
+
+/*
+
+UPDATE: I profiled N=5 and most of the time was going into knownNumbers.includes. It was an array, so every single candidate was being
+compared against every number found so far. It's a Set now (called Known), and the lookup is instant.
+
+The other problem was the non-integers. They were stored as 'float' + floatCounter, so the same 2/3 could be stored hundreds of times
+in the same layer, and since the counter restarted for every composition pair, they were overwriting each other at random too.
+Now every value has a key (Exact.key, which is just the number for integers, num/den for fractions and num/den^1/root for roots), and
+each layer keeps one expression per key:
+- integers work like before: once there's a complete expression for a number, it's known, and nothing else for it is kept in this layer
+  or any later one
+- non-integers are never results, only building blocks, and for a building block the start and end digits matter as much as the value
+  ((6 / 9) can go after a 9, (9 / 6) can't). So their key also gets the start and end digits, like 2/3:69. That's at most 4 expressions
+  per fraction in 69, instead of hundreds
+
+N     before                  after
+4     0.88s,  13MB            0.5s,    9MB
+5    18.61s,  49MB            3.42s,  42MB
+
+And it finds a few more numbers than before (15794 with 5 operations instead of 15790), since the fractions aren't overwriting each
+other anymore. Checkpoints made before this have the old keys, so they can't be resumed, and the search says so.
+
+*/
+
+/*
+
+Back in version2 I gave up on finding every expression for a number, because most of the "alternatives" were the same expression with
+the signs moved around:
+
+5  (((6 / -9) * 6) + 9) | (((-6 / 9) * 6) + 9) | (((6 / 9) * -6) + 9) | (((-6 / -9) * -6) + 9) | (((6 / -9) * 6) - -9) | ...
+
+But the genuinely different ones are the most interesting part of all this, so let's get theoretical after all.
+
+canonical(expression) gives the same string for any two expressions that only differ by that kind of thing. It goes through the tree
+keeping track of a sign and a form for every node, where the form has no minus signs that could be moved somewhere else:
+- an atom is just its digits, and its sign
+- for * and /, the signs multiply, and the two sides of * get sorted (so 6 * 9 and 9 * 6 are the same)
+- a - b is a + (-b), so a - -b and a + b are the same. If both sides have the same sign, it's a (sorted) sum with that sign. Otherwise
+  it's a difference, and since x - y = -(y - x), it's always written with the smaller form first
+- for a ** b, the sign of the base comes out if the exponent is odd and goes away if it's even. The sign of the exponent stays inside
+
+This doesn't move parentheses around, so (a + b) + c and a + (b + c) are still different. I think that's fair, they are different trees.
+
+findAllShortest(target) then gives every distinct minimal expression for a number. It needs a slightly different search though:
+(1) version3 keeps one expression per number, so the other ways of writing the pieces are gone. Here, layers are kept by value AND
+  start and end digit for every number (the same way non-integers already are), and something only goes into a layer if no earlier layer
+  has the same value with the same digits. That means every piece is as short as it can be for what it has to connect to.
+(2) Once the target shows up, it goes back down the layers: for the target (and then for every piece it needs, one layer at a time) it
+  goes through that layer's composition pairs again and keeps every way of making it, not just the first one.
+(3) Then it builds every tree out of those, and only keeps one per canonical form.
+
+*/
+
+const canonicalForm = (term) => {
+  const Signed = (part) => (part.negative ? '-' : '') + part.form
+
+  if (term.operand) {
+    const Operand = canonicalForm(term.operand)
+    if (term.operation === 'neg') return { negative: !Operand.negative, form: Operand.form }
+    return { negative: false, form: `${term.operation}(${Signed(Operand)})` }
+  }
+  if (!term.left) return { negative: term.display.startsWith('-'), form: term.display.replace('-', '') }
+
+  const Left = canonicalForm(term.left)
+  const Right = canonicalForm(term.right)
+  const Sorted = [Left.form, Right.form].sort()
+
+  // a % b has the sign of a, whatever the sign of b is. For the others, the signs stay where they are
+  if (term.operation === '%') return { negative: Left.negative, form: `(${Left.form} % ${Right.form})` }
+  if (!(term.operation in Expression2.Operations)) return { negative: false, form: `(${Signed(Left)} ${term.operation} ${Signed(Right)})` }
+
+  if (term.operation === '*') return { negative: Left.negative !== Right.negative, form: `(${Sorted[0]} * ${Sorted[1]})` }
+  if (term.operation === '/') return { negative: Left.negative !== Right.negative, form: `(${Left.form} / ${Right.form})` }
+
+  if (term.operation === '**') {
+    const Exponent = term.right.evaluate
+    return { negative: Left.negative && Exponent.num % 2n !== 0n, form: `(${Left.form} ** ${Signed(Right)})` }
+  }
+
+  const RightNegative = term.operation === '-' ? !Right.negative : Right.negative
+  if (Left.negative === RightNegative) return { negative: Left.negative, form: `(${Sorted[0]} + ${Sorted[1]})` }
+
+  const Positive = Left.negative ? Right.form : Left.form
+  const Negative = Left.negative ? Left.form : Right.form
+  return Positive < Negative
+    ? { negative: false, form: `(${Positive} - ${Negative})` }
+    : { negative: true, form: `(${Negative} - ${Positive})` }
+}
+
+const canonical = (expression) => {
+  const Canonical = canonicalForm(expression)
+  return (Canonical.negative ? '-' : '') + Canonical.form
+}
+
+// Out of a bunch of expressions that are the same up to signs, the one with the fewest minus signs is the nicest one to look at
+const keepDistinct = (Distinct, expression) => {
+  const Canonical = canonical(expression)
+  const Minus = (term) => term.display.split('-').length
+  if (!Distinct.has(Canonical) || Minus(expression) < Minus(Distinct.get(Canonical))) Distinct.set(Canonical, expression)
+}
+
+const shapeKey = (Key, expression) => isIntegerKey(Key) ? `${Key}:${expression.start}${expression.end}` : Key
+
+const findAllShortest = (target, { maxOperations = 6, puzzle = SixtyNinePuzzle, reporter = silentReporter } = {}) => {
+
+  const Target = exactOf(target).key
+  const Options = (composition) => ({ OperationList: composition[2], ignoreSumAndMul: false, puzzle })
+  const Literals = needsLiterals(puzzle)
+  const NodeKeyOf = (Key, expression) => literalKey(shapeKey(Key, expression), expression, Literals)
+
+  const Goals = []
+  puzzle.starts.forEach(start => puzzle.ends.forEach(end => Goals.push(`${Target}:${start}${end}`)))
+  if (Literals) Goals.push(...Goals.map(Goal => `${Goal}:digits`))
+
+  const Layers = [{}]
+  const Known = new Set()
+  const Nodes = new Map()
+
+  const Add = (layer, NodeKey, expression) => {
+    Known.add(NodeKey)
+    Layers[layer][NodeKey] = expression
+    Nodes.set(expression, NodeKey)
+  }
+
+  puzzle.atomsCosting(0).forEach(atom => {
+    const NodeKey = NodeKeyOf(atom.evaluate.key, atom)
+    if (!Known.has(NodeKey)) Add(0, NodeKey, atom)
+  })
+
+  let operations = 0
+  let Reached = Goals.some(Goal => Layers[0].hasOwnProperty(Goal))
+
+  while (!Reached && operations < maxOperations) {
+    operations++
+    Layers[operations] = {}
+    reporter.layer(operations)
+
+    const found = (Key, expression) => {
+      const NodeKey = NodeKeyOf(Key, expression)
+      if (Known.has(NodeKey)) return
+
+      Add(operations, NodeKey, expression)
+      if (Goals.includes(NodeKey)) Reached = true
+    }
+
+    puzzle.atomsCosting(operations).forEach(atom => found(atom.evaluate.key, atom))
+
+    for (const composition of puzzle.compositions(operations)) {
+      if (Reached) break
+      const LeftNumbers = Layers[composition[0]]
+      const RightNumbers = Layers[composition[1]]
+
+      for (const LeftIndex in LeftNumbers) {
+        combineExpressions(LeftNumbers[LeftIndex], RightNumbers, Options(composition), found)
+        if (Reached) break
+      }
+      if (Reached) break
+    }
+
+    if (!Reached) applyUnary(Layers, operations, puzzle, found)
+  }
+
+  if (!Reached) return null
+
+  // Going back down: every way of making each piece we need, one layer at a time
+  const Needed = Layers.map(() => new Set())
+  Goals.forEach(Goal => { if (!Known.has(Goal) || Layers[operations].hasOwnProperty(Goal)) Needed[operations].add(Goal) })
+
+  const Derivations = new Map()
+  for (let layer = operations; layer > 0; layer--) {
+    if (Needed[layer].size === 0) continue
+
+    // An atom that costs something is a way of making its piece too
+    Needed[layer].forEach(NodeKey => {
+      const Node = Layers[layer][NodeKey]
+      Derivations.set(NodeKey, Node && !Node.left && !Node.operand ? [Node] : [])
+    })
+
+    for (const composition of puzzle.compositions(layer)) {
+      const LeftNumbers = Layers[composition[0]]
+      const RightNumbers = Layers[composition[1]]
+
+      for (const LeftIndex in LeftNumbers) {
+        combineExpressions(LeftNumbers[LeftIndex], RightNumbers, Options(composition), (Key, expression) => {
+          const NodeKey = NodeKeyOf(Key, expression)
+          if (!Needed[layer].has(NodeKey)) return
+
+          Derivations.get(NodeKey).push(expression)
+          Needed[composition[0]].add(Nodes.get(expression.left))
+          Needed[composition[1]].add(Nodes.get(expression.right))
+        })
+      }
+    }
+
+    applyUnary(Layers, layer, puzzle, (Key, expression) => {
+      const NodeKey = NodeKeyOf(Key, expression)
+      if (!Needed[layer].has(NodeKey)) return
+
+      Derivations.get(NodeKey).push(expression)
+      Needed[layer - puzzle.cost(expression.operation)].add(Nodes.get(expression.operand))
+    })
+  }
+
+  const Trees = new Map()
+  const trees = (NodeKey, representative) => {
+    if (!Derivations.has(NodeKey)) return [representative]
+    if (Trees.has(NodeKey)) return Trees.get(NodeKey)
+
+    const Distinct = new Map()
+    Derivations.get(NodeKey).forEach(derivation => {
+      if (!derivation.left && !derivation.operand) return keepDistinct(Distinct, derivation)
+      if (derivation.operand) {
+        trees(Nodes.get(derivation.operand), derivation.operand).forEach(operand => {
+          keepDistinct(Distinct, new Unary2(derivation.operation, operand, puzzle))
+        })
+        return
+      }
+
+      const LeftTrees = trees(Nodes.get(derivation.left), derivation.left)
+      const RightTrees = trees(Nodes.get(derivation.right), derivation.right)
+
+      LeftTrees.forEach(left => RightTrees.forEach(right => {
+        keepDistinct(Distinct, new Expression2(left, derivation.operation, right, puzzle))
+      }))
+    })
+
+    Trees.set(NodeKey, [...Distinct.values()])
+    return Trees.get(NodeKey)
+  }
+
+  const Distinct = new Map()
+  Goals.forEach(Goal => {
+    if (!Layers[operations].hasOwnProperty(Goal) && !Derivations.has(Goal)) return
+    trees(Goal, Layers[operations][Goal]).forEach(expression => keepDistinct(Distinct, expression))
+  })
+
+  const Expressions = [...Distinct.values()]
+  return { expressions: Expressions, displays: Expressions.map(expression => expression.display), operations }
+}
+
+// Target   findAllShortest(target).displays
+// 5        (((6 / 9) * -6) + 9) | ((-6 / (9 / 6)) + 9) | ((6 + 9) / (-6 + 9)) | (6 - (9 ** (69 - 69)))
+// 27       (((6 + -9) + 6) * 9) | (((-6 + 9) * 6) + 9) | ((-6 + 9) ** (-6 + 9))
+
+/*
+
+Something that's been bugging me: p(N) = 5 in the tables only ever meant "I didn't find it with less than 5 operations". version3
+throws away numbers with 20 or more digits, every power that overflows, everything Exact can't represent, every sum and product with
+fewer operations on the left, and every expression for a value it already has, even when it starts or ends on other digits. Any of
+those could have been a piece of a shorter expression, so none of the tables actually prove anything.
+
+prove(N) is the same layered search, but it's careful about everything it throws away, so it can tell which minimums are for real:
+(1) Nothing is skipped on purpose. Every operator is tried on every composition pair, there's no digit limit, and layers are kept by
+  value AND start and end digits like in findAllShortest. Keeping the shortest expression for each (value, start, end) loses nothing,
+  since that's all that matters about a piece when it gets joined to something else.
+(2) Exact gets a much bigger digit limit (every Exact operation takes one, 20 is just the default), so things like (69 ** 69),
+  which has 127 digits, are still exact. Otherwise (69 ** 69) - (69 ** 69) couldn't even be zero.
+(3) When Exact still gives up on a value (an overflow, a sum of roots that's unrepresentable, or something to the power of a root), the
+  expression isn't thrown away. It's kept with a Bound instead: what we still know about the value, which is its sign, an interval
+  for log10 of its size, whether it's irrational and whether it's certainly not an integer. (6 ** (9 ** 6)) isn't stored, but we
+  know it's positive and has 413542 digits.
+(4) Bounds keep going through the next layers like any other value. (6 ** (9 ** 6)) + 9 still has 413542 digits. Some operations
+  don't care about the value at all, so (6 ** (9 ** 6)) ** (69 - 69) is exactly 1 and goes back to being a regular Exact. When there's
+  nothing left to say (like the difference of two Bounds of the same size, which could be anything) it's still kept, just with a
+  Bound that doesn't know anything.
+
+Errors (dividing by zero, even roots of negative numbers, 0 to a negative power) aren't real numbers, so dropping them isn't pruning.
+Sometimes there's no way to tell if something is going to be one of those (a negative number to the power of a Bound, for example),
+so those are kept too, but flagged, and they never turn back into an Exact (it'd be an Exact for an expression that might not mean
+anything).
+
+Every time a value gets a Bound instead of an Exact it's counted in prunings, by layer and by reason. Then certify(target) checks
+every complete Bound with less operations than the target's minimum: if all of them are provably not the target, the minimum is
+certified. If one of them could be the target, the minimum is just an upper bound, and that Bound is the one to blame (blockedBy).
+lowerBound is where it was, since everything before it was checked.
+
+The intervals have a little slack added to every step, so float rounding can only make a Bound less sure of itself, never wrong.
+
+With 4 operations, every number with less than 20 digits that prove finds is certified. It also finds 1116 numbers version3 doesn't
+have at all, and 47 with less operations than version3 does, like 216 = (6 ** (-9 / (6 + -9))): version3 already has a -1 by then,
+(69 / -69), and that one starts on a 6, so 6 ** -1 is never tried. It's about 5 times slower than version3 though, so this is for
+making the tables, not for everyday use.
+
+*/
+
+// log10 of the absolute value of a BigInt, from its number of digits and the first 15 of them
+const BigIntLog = (X) => {
+  const Digits = Exact.Abs(X).toString()
+  if (Digits.length <= 15) return Math.log10(Number(Digits))
+  return Math.log10(Number(Digits.slice(0, 15))) + Digits.length - 15
+}
+
+class Bound {
+  // sign is 1 or -1 when it's known, 0 otherwise. low = -Infinity means it could be zero
+  constructor ({ sign = 0, low = -Infinity, high = Infinity, irrational = false, nonInteger = false, valid = true } = {}) {
+    const Widen = (X, direction) => X + direction * 1e-12 * Math.max(1, Math.abs(X))
+
+    this.sign = sign
+    this.low = Number.isNaN(low) ? -Infinity : Widen(Math.min(low, Number.MAX_VALUE), -1)
+    this.high = Number.isNaN(high) ? Infinity : Widen(Math.max(high, -Number.MAX_VALUE), 1)
+    this.irrational = irrational
+    this.nonInteger = nonInteger || irrational || (this.high < 0 && this.low > -Infinity)
+    this.valid = valid
+  }
+
+  static of(exact) {
+    if (exact.num === 0n) return new Bound({ high: -Infinity })
+
+    const Log = (BigIntLog(exact.num) - BigIntLog(exact.den)) / Number(exact.root)
+    return new Bound({ sign: exact.num < 0n ? -1 : 1, low: Log, high: Log, irrational: exact.root !== 1n, nonInteger: exact.den !== 1n })
+  }
+
+  get negative() {
+    return new Bound({ ...this, sign: -this.sign })
+  }
+
+  static plus(A, B) {
+    const High = Math.max(A.high, B.high) + Math.log10(2)
+    if (A.sign !== 0 && A.sign === B.sign) return new Bound({ sign: A.sign, low: Math.max(A.low, B.low), high: High })
+
+    // If one side is certainly bigger, it wins
+    const [Big, Small] = A.low >= B.low ? [A, B] : [B, A]
+    if (Big.low > Small.high) return new Bound({ sign: Big.sign, low: Big.low + Math.log10(1 - 10 ** (Small.high - Big.low)), high: High })
+
+    return new Bound({ high: High })
+  }
+
+  static times(A, B) {
+    return new Bound({ sign: A.sign * B.sign, low: A.low + B.low, high: A.high + B.high })
+  }
+
+  static over(A, B) {
+    return new Bound({ sign: A.sign * B.sign, low: A.low - B.high, high: A.high - B.low })
+  }
+
+  // log10 |A ** B| = B * log10 |A|, so it's the interval of log10 |A| times the interval B itself is in
+  static toThe(A, B) {
+    const Values = B.sign === 1 ? [10 ** B.low, 10 ** B.high]
+      : B.sign === -1 ? [-(10 ** B.high), -(10 ** B.low)]
+      : [-(10 ** B.high), 10 ** B.high]
+
+    // 0 * Infinity only shows up for 0 ** 0, which is 1
+    const Logs = []
+    ;[A.low, A.high].forEach(Log => Values.forEach(Value => Logs.push(Log * Value || 0)))
+    return new Bound({ sign: A.sign === 1 ? 1 : 0, low: Math.min(...Logs), high: Math.max(...Logs) })
+  }
+
+  // true when this value is certainly not the exact number
+  excludes(exact) {
+    if (this.irrational && exact.root === 1n) return true
+    if (this.nonInteger && exact.root === 1n && exact.den === 1n) return true
+    if (exact.num === 0n) return this.low > -Infinity
+    if ((exact.num < 0n ? -1 : 1) === -this.sign) return true
+
+    const Log = Bound.of(exact)
+    return Log.high < this.low || Log.low > this.high
+  }
+
+  get key() {
+    const Kind = this.irrational ? ':irrational' : this.nonInteger ? ':fraction' : ''
+    return `~${this.sign}:${this.low}:${this.high}${Kind}${this.valid ? '' : ':maybe'}`
+  }
+}
+
+// Same as Expression2, but the value is worked out once (it can be a Bound, which Expression2.evaluate wouldn't know what to do with)
+class ProvenExpression extends Expression2 {
+  constructor (leftTerm, operation, rightTerm, puzzle, value) {
+    super(leftTerm, operation, rightTerm, puzzle)
+    this.value = value
+  }
+
+  get evaluate() {
+    return this.value
+  }
+}
+
+const ProofDigits = 200
+
+const isZero = (value) => value instanceof Exact && value.num === 0n
+const isOne = (value) => value instanceof Exact && value.num === 1n && value.den === 1n
+const isRational = (value) => value instanceof Exact && value.root === 1n
+const isInteger = (value) => isRational(value) && value.den === 1n
+
+const boundedOperation = (operation, Left, Right) => {
+  const LeftExact = Left instanceof Exact
+  const RightExact = Right instanceof Exact
+  const IrrationalPower = operation === '**' && RightExact && Right.root !== 1n
+
+  let reason = 'bounded'
+  if (LeftExact && RightExact && !IrrationalPower) {
+    const Result = Expression2.Operations[operation](Left, Right, ProofDigits)
+    if (!Result.overflow && !Result.unrepresentable) return Result
+    reason = Result.overflow ? 'overflow' : 'unrepresentable'
+  } else if (LeftExact && IrrationalPower) {
+    reason = 'irrational power'
+  }
+
+  const A = LeftExact ? Bound.of(Left) : Left
+  const B = RightExact ? Bound.of(Right) : Right
+  const NonZero = (bound) => bound.low > -Infinity
+  const Positive = (bound) => bound.sign === 1 && NonZero(bound)
+  const Negative = (bound) => bound.sign === -1 && NonZero(bound)
+
+  if (operation === '/' && isZero(Right)) return { error: true }
+  if (operation === '**' && isZero(Left)) {
+    if (Positive(B) && B.valid) return new Exact(0)
+    if (Negative(B)) return { error: true }
+  }
+
+  // Whether the result is certainly a real number. If it might not be, it's still kept (it could be a target we'd otherwise miss),
+  // it just can't turn back into an Exact below
+  let valid = A.valid && B.valid
+  if (operation === '/' && !NonZero(B)) valid = false
+  if (operation === '**' && isRational(Right)) {
+    if (Right.den % 2n === 0n && Negative(A)) return { error: true }
+    if ((Right.den % 2n === 0n && A.sign !== 1) || (Right.num < 0n && !NonZero(A))) valid = false
+  } else if (operation === '**') {
+    if (B.irrational && Negative(A)) return { error: true }
+    if (!Positive(A)) valid = false
+  }
+
+  // The ones that don't care what the Bound is
+  if (valid && operation === '*' && (isZero(Left) || isZero(Right))) return new Exact(0)
+  if (valid && operation === '/' && isZero(Left)) return new Exact(0)
+  if (valid && operation === '**' && (isZero(Right) || isOne(Left))) return new Exact(1)
+
+  // A rational number plus or times an irrational one is still irrational, and an integer plus a non-integer isn't an integer
+  const KeepsIrrational = (A.irrational && isRational(Right)) || (B.irrational && isRational(Left))
+  const KeepsNonInteger = (A.nonInteger && isInteger(Right)) || (B.nonInteger && isInteger(Left))
+
+  let Result
+  if (operation === '+') Result = Bound.plus(A, B)
+  if (operation === '-') Result = Bound.plus(A, B.negative)
+  if (operation === '*') Result = Bound.times(A, B)
+  if (operation === '/') Result = Bound.over(A, B)
+  if (operation === '**') Result = Bound.toThe(A, B)
+
+  Result.valid = valid
+  if (operation !== '**' && KeepsIrrational) Result.irrational = Result.nonInteger = true
+  if ((operation === '+' || operation === '-') && KeepsNonInteger) Result.nonInteger = true
+  if (reason === 'unrepresentable') Result.irrational = Result.nonInteger = true
+
+  // A fraction to an integer power is still a fraction. And x ** (p/q) is only rational if x is a perfect q-th power, which it can't be
+  // if it has less than q bits (toThe gives up when q is over 100)
+  if (reason === 'overflow' && operation === '**' && isRational(Left) && isRational(Right)) {
+    const Bits = BigInt(Exact.bits(Exact.Abs(Left.num) > Left.den ? Left.num : Left.den))
+    if (!isInteger(Left) && isInteger(Right)) Result.nonInteger = true
+    if (Right.den > 100n && Bits <= Right.den) Result.irrational = Result.nonInteger = true
+  }
+
+  // The sign of a power with a rational exponent depends on whether the numerator and denominator are even
+  if (operation === '**' && isRational(Right) && A.sign !== 1) {
+    Result.sign = Right.num % 2n === 0n || Right.den % 2n === 0n ? 1 : A.sign
+  }
+
+  Result.reason = reason
+  return Result
+}
+
+const proofKey = (expression, literals) => literalKey(`${expression.evaluate.key}:${expression.start}${expression.end}`, expression, literals)
+
+const prove = (N, { puzzle = SixtyNinePuzzle, range, rationals = false, reporter = silentReporter } = {}) => {
+
+  const Literals = needsLiterals(puzzle)
+
+  const List = [{}]
+  const Known = new Set()
+  const Minimum = new Map()
+  const prunings = [{}]
+
+  const store = (operations, expression) => {
+    const Key = proofKey(expression, Literals)
+    if (Known.has(Key)) return
+    Known.add(Key)
+
+    if (operations < N || expression.complete) List[operations][Key] = expression
+
+    const Value = expression.evaluate
+    if (expression.complete && Value instanceof Exact && !Minimum.has(Value.key)) Minimum.set(Value.key, { expression, operations })
+  }
+
+  const Pruned = (operations, Value) => {
+    if (Value instanceof Bound && Value.reason !== 'bounded') {
+      prunings[operations][Value.reason] = (prunings[operations][Value.reason] || 0) + 1
+    }
+  }
+
+  puzzle.atomsCosting(0).forEach(atom => store(0, atom))
+
+  for (let operations = 1; operations <= N; operations++) {
+
+    List[operations] = {}
+    prunings[operations] = {}
+    puzzle.atomsCosting(operations).forEach(atom => store(operations, atom))
+
+    const Compositions = puzzle.compositions(operations)
+
+    reporter.layer(operations)
+
+    Compositions.forEach((composition, index) => {
+
+      const LeftNumbers = List[composition[0]]
+      const RightNumbers = List[composition[1]]
+      const OperationList = composition[2]
+
+      reporter.composition(index, Compositions.length)
+
+      for (const LeftIndex in LeftNumbers) {
+        const LeftExpression = LeftNumbers[LeftIndex]
+
+        for (const RightIndex in RightNumbers) {
+          const RightExpression = RightNumbers[RightIndex]
+          if (!puzzle.canJoin(LeftExpression, RightExpression)) continue
+
+          for (const Operation of OperationList) {
+            const { accepts } = Operators[Operation]
+            if (accepts && !accepts(LeftExpression, RightExpression)) continue
+
+            const Value = boundedValue(Operation, LeftExpression.evaluate, RightExpression.evaluate)
+            if (Value.error) continue
+
+            Pruned(operations, Value)
+            store(operations, new ProvenExpression(LeftExpression, Operation, RightExpression, puzzle, Value))
+          }
+        }
+      }
+    })
+
+    puzzle.unary.forEach(Operation => {
+      const Operands = List[operations - puzzle.cost(Operation)] || {}
+      for (const Key in Operands) {
+        const Value = boundedValue(Operation, Operands[Key].evaluate)
+        if (Value.error) continue
+
+        Pruned(operations, Value)
+        store(operations, new ProvenUnary(Operation, Operands[Key], puzzle, Value))
+      }
+    })
+  }
+
+  // Same as version3, the tables only get numbers with less than 20 digits (the big ones are still used as pieces, of course)
+  const Listed = [...Minimum.keys()].filter(Key => (isIntegerKey(Key) || (rationals && isRationalKey(Key))) && listable(Key))
+
+  const DisplayList = List.map(() => ({}))
+  Listed.forEach(Key => {
+    const { expression, operations } = Minimum.get(Key)
+    DisplayList[operations][Key] = expression.display
+  })
+
+  // Only complete expressions with a Bound could be a target we missed
+  const Bounded = List.map(Layer => Object.values(Layer).filter(expression => expression.complete && expression.evaluate instanceof Bound))
+
+  const certify = (target) => {
+    const Target = exactOf(target)
+    const Found = Minimum.get(Target.key)
+    const Operations = Found ? Found.operations : N + 1
+
+    for (let operations = 1; operations < Operations; operations++) {
+      for (const expression of Bounded[operations]) {
+        if (!expression.evaluate.excludes(Target)) {
+          return {
+            operations: Found ? Operations : null,
+            display: Found ? Found.expression.display : null,
+            certified: false,
+            lowerBound: operations,
+            blockedBy: expression.display
+          }
+        }
+      }
+    }
+
+    return { operations: Found ? Operations : null, display: Found ? Found.expression.display : null, certified: true, lowerBound: Operations }
+  }
+
+  return limitRange({ DisplayList, knownNumbers: Listed, prunings, certify }, range, reporter)
+}
+
+/*
+
+Publishing the results has always meant copying the DisplayList out of the console and into that spreadsheet by hand, which is a pain,
+and there's no way of telling what changed between two runs. So now there are exporters.
+
+tableRows(result) takes whatever search, searchParallel or prove gave back and makes one row per number, sorted by number:
+{ number, operations, expression, certified }. certified is whatever prove's certify says, and always false for search, since
+search can't promise anything.
+
+exportTable(rows, format) writes those rows as:
+csv    a header and then one line per number
+jsonl  one JSON object per line (JSON Lines), so two runs can be diffed line by line
+html   a whole page that doesn't need any other file, with a search box, and column headers you can click to sort by.
+       test.html is one of these now: node cli.js search --prove --max-ops 3 --format html > test.html
+
+*/
+
+const tableRows = ({ DisplayList, certify }) => {
+  const Rows = []
+  DisplayList.forEach((Layer, operations) => {
+    for (const Num in Layer) {
+      Rows.push({ number: Num, operations, expression: Layer[Num], certified: certify ? certify(Num).certified : false })
+    }
+  })
+
+  return Rows.sort((A, B) => compareKeys(A.number, B.number) || A.operations - B.operations)
+}
+
+const csvField = (field) => /[",\n]/.test(String(field)) ? `"${String(field).replace(/"/g, '""')}"` : String(field)
+const escapeHTML = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const tablePage = (Rows) => {
+  const Certified = Rows.filter(Row => Row.certified).length
+  const Body = Rows.map(Row => {
+    const Cells = [Row.number, Row.operations, Row.expression, Row.certified ? 'yes' : 'no']
+    return `      <tr>${Cells.map(Cell => `<td>${escapeHTML(Cell)}</td>`).join('')}</tr>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SixtyNine p(N) table</title>
+  <style>
+    * {
+      background-color: rgb(34, 34, 34);
+      color: rgb(221, 221, 221);
+      font-family: monospace;
+    }
+    input {
+      border: 1px solid rgb(119, 119, 119);
+      padding: 4px;
+      width: 24em;
+    }
+    th {
+      cursor: pointer;
+      text-align: left;
+      user-select: none;
+    }
+    th, td {
+      padding: 2px 16px 2px 0;
+    }
+    td:first-child {
+      text-align: right;
+    }
+  </style>
+</head>
+<body>
+  <p>${Rows.length} numbers, ${Certified} of them certified</p>
+  <input id="search" type="search" placeholder="A number, or part of an expression">
+  <p id="count"></p>
+  <table>
+    <thead>
+      <tr><th data-type="fraction">number</th><th data-type="number">operations</th><th data-type="text">expression</th><th data-type="text">certified</th></tr>
+    </thead>
+    <tbody>
+${Body.join('\n')}
+    </tbody>
+  </table>
+  <script>
+    const Body = document.querySelector('tbody')
+    const Rows = Array.from(Body.rows)
+    const Search = document.getElementById('search')
+    const Count = document.getElementById('count')
+
+    const Compare = {
+      fraction: (A, B) => {
+        const [An, Ad = '1'] = A.split('/')
+        const [Bn, Bd = '1'] = B.split('/')
+        const Difference = BigInt(An) * BigInt(Bd) - BigInt(Bn) * BigInt(Ad)
+        return Difference < 0n ? -1 : Difference > 0n ? 1 : 0
+      },
+      number: (A, B) => Number(A) - Number(B),
+      text: (A, B) => A.localeCompare(B)
+    }
+
+    let Sorted = { column: 0, direction: 1 }
+    document.querySelectorAll('th').forEach((Header, column) => {
+      Header.addEventListener('click', () => {
+        Sorted = { column, direction: Sorted.column === column ? -Sorted.direction : 1 }
+
+        const compare = Compare[Header.dataset.type]
+        Rows.sort((A, B) => Sorted.direction * compare(A.cells[column].textContent, B.cells[column].textContent))
+        Rows.forEach(Row => Body.appendChild(Row))
+      })
+    })
+
+    // A number (or a fraction, like 2/3) only matches itself, anything else is looked for inside the expressions
+    Search.addEventListener('input', () => {
+      const Query = Search.value.trim()
+      const isNumber = /^-?\\d+(\\/\\d+)?$/.test(Query)
+
+      let Shown = 0
+      Rows.forEach(Row => {
+        Row.hidden = isNumber ? Row.cells[0].textContent !== Query : !Row.cells[2].textContent.includes(Query)
+        if (!Row.hidden) Shown++
+      })
+      Count.textContent = Query === '' ? '' : Shown + ' found'
+    })
+  </script>
+</body>
+</html>`
+}
+
+const exportTable = (Rows, format = 'csv') => {
+  if (format === 'csv') {
+    const Lines = Rows.map(Row => [Row.number, Row.operations, Row.expression, Row.certified].map(csvField).join(','))
+    return ['number,operations,expression,certified', ...Lines].join('\n')
+  }
+  if (format === 'jsonl') return Rows.map(Row => JSON.stringify(Row)).join('\n')
+  if (format === 'html') return tablePage(Rows)
+
+  throw new Error(`Unknown format ${format}, it has to be csv, jsonl or html`)
+}
+
+/*
+
+People keep asking "what if you could also use factorials?" or "what if 6 and 9 could just be written next to each other?", and every
+time the answer was "change the code and run it again". The operators were hardcoded in Expression2.Operations, and every search
+went through all five of them.
+
+So now there's a registry. Operators has one entry per operator, with its arity and how to apply it to Exacts (and an optional digit
+limit, same as the Exact methods). On top of + - * / and ** there are:
+- %    the remainder, with the sign of the left side like JavaScript's %. Rational numbers only, roots are an error
+- //   division rounded down, (-9 // 6) is -2. Also rational numbers only
+- ||   digit concatenation, (6 || 9) is 69. It can only join digits: atoms, or other concatenations. (6 + 9) || 6 isn't 156, it's
+       just not allowed (that's what accepts is for). The 6/9 rule still applies at the join, so (6 || 69) isn't allowed either
+- neg  unary minus, written -(6 + 9)
+- !    factorial, for non-negative integers, written (6)!
+- sqrt the square root, which is just ** (1/2), written sqrt(6 + 9)
+
+Unary operators are Unary2 nodes instead of Expression2, with an operand instead of a left and right, and they have their own cost.
+Layers are still by operations, it's just that something with a cost of 2 goes from layer X to layer X + 2. Every one of them costs 1
+for now.
+
+Which operators can be used is part of the Puzzle now (operators, with the original five as the default). So to see how p(N)
+changes, just run the same thing with another puzzle: prove(4, { puzzle: SixtyNinePuzzle.withOperators(['+', '-', '*', '/', '**', '!']) }).
+(prove is the one to compare with. version3 only keeps one expression per number, so an extra operator can even make it lose a couple
+of numbers, when a new way of writing a piece pushes out the one with the right digits.)
+Since they're in the puzzle's config, a checkpoint remembers them too, and the rows for unary nodes only have one child
+([key, operation, layer, key]). Checkpoints from before this can't be resumed, the search says so.
+
+parse knows about all of them: - in front of a parenthesis (or sqrt) is neg, ! goes right after what it applies to, || goes before
+**, and % and // go with * and /. An operator the puzzle doesn't have is an error.
+
+prove needs to know what an operator does to a Bound. neg and sqrt are just * -1 and ** (1/2), and a factorial that overflows is
+positive and has more than ProofDigits digits. Anything else (including any operator someone adds to Operators themselves) gets
+computed when both sides are Exact, and gives a Bound that knows nothing when they aren't, which can't prove anything but is never wrong.
+There's one catch with ||: two pieces with the same value and digits aren't interchangeable anymore, since (6 || 9) can be concatenated
+and (6 + 63) can't. So when the puzzle has an operator with accepts, concatenations are kept apart from everything else.
+
+*/
+
+const Half = new Exact(1).over(new Exact(2))
+
+const remainder = (left, right) => {
+  if (left.root !== 1n || right.root !== 1n || right.num === 0n) return { error: true }
+
+  const Quotient = left.over(right)
+  return left.minus(right.times(new Exact(Quotient.num / Quotient.den)))
+}
+
+const floorDivision = (left, right) => {
+  if (left.root !== 1n || right.root !== 1n || right.num === 0n) return { error: true }
+
+  const Quotient = left.over(right)
+  const Exactly = Quotient.num % Quotient.den === 0n
+  return new Exact(Quotient.num / Quotient.den - (Quotient.num < 0n && !Exactly ? 1n : 0n))
+}
+
+const concatenate = (left, right, limit = 20) => {
+  if (left.den !== 1n || left.root !== 1n || right.den !== 1n || right.root !== 1n || right.num < 0n) return { error: true }
+
+  const Digits = `${left.num}${right.num}`
+  if (Digits.replace('-', '').length > limit) return { overflow: true }
+  return new Exact(Digits)
+}
+
+const factorial = (value, limit = 20) => {
+  if (value.den !== 1n || value.root !== 1n || value.num < 0n) return { error: true }
+
+  let Result = 1n
+  for (let i = 2n; i <= value.num; i++) {
+    Result *= i
+    if (Result.toString().length > limit) return { overflow: true }
+  }
+  return new Exact(Result)
+}
+
+// Atoms and concatenations of atoms, the only things || can join
+const isDigits = (term) => term.left ? term.operation === '||' : !term.operand
+
+// Expression2 already puts parentheses around itself, anything else needs them under a unary operator
+const Wrapped = (term) => term.left ? term.display : `(${term.display})`
+
+const Core = Expression2.Operations
+
+const Operators = {
+  '+': { arity: 2, apply: Core['+'], inverse: { left: (target, right) => [target.minus(right)], right: (target, left) => [target.minus(left)] } },
+  '-': { arity: 2, apply: Core['-'], inverse: { left: (target, right) => [target.plus(right)], right: (target, left) => [left.minus(target)] } },
+  '*': { arity: 2, apply: Core['*'], inverse: { left: (target, right) => [target.over(right)], right: (target, left) => [target.over(left)] } },
+  '/': { arity: 2, apply: Core['/'], inverse: { left: (target, right) => [target.times(right)], right: (target, left) => [left.over(target)] } },
+  '**': { arity: 2, apply: Core['**'], inverse: { left: (target, right) => basesFor(target, right), right: (target, left) => exponentsFor(left, target) } },
+  '%': { arity: 2, apply: remainder },
+  '//': { arity: 2, apply: floorDivision },
+  '||': { arity: 2, apply: concatenate, accepts: (left, right) => isDigits(left) && isDigits(right) },
+  'neg': {
+    arity: 1,
+    cost: 1,
+    apply: (value) => value.negative,
+    inverse: (target) => [target.negative],
+    display: (term) => `-${Wrapped(term)}`,
+    bounded: (value) => boundedOperation('*', value, new Exact(-1))
+  },
+  '!': {
+    arity: 1,
+    cost: 1,
+    apply: factorial,
+    inverse: (target) => factorialsOf(target),
+    display: (term) => `${Wrapped(term)}!`,
+    bounded: (value) => {
+      if (value instanceof Bound) {
+        if (value.nonInteger) return { error: true }
+        return Object.assign(new Bound({ sign: 1, low: value.sign === 1 ? Math.max(0, value.low) : 0, valid: false }), { reason: 'bounded' })
+      }
+
+      const Result = factorial(value, ProofDigits)
+      if (!Result.overflow) return Result
+      return Object.assign(new Bound({ sign: 1, low: ProofDigits }), { reason: 'overflow' })
+    }
+  },
+  'sqrt': {
+    arity: 1,
+    cost: 1,
+    apply: (value, limit) => value.toThe(Half, limit),
+    inverse: (target) => target.num < 0n ? [] : [target.times(target)],
+    display: (term) => `sqrt${Wrapped(term)}`,
+    bounded: (value) => boundedOperation('**', value, Half)
+  }
+}
+
+const operator = (name) => {
+  if (!Operators.hasOwnProperty(name)) throw new Error(`Unknown operator ${name}, the operators are ${Object.keys(Operators).join(' ')}`)
+  return Operators[name]
+}
+
+class Unary2 {
+  constructor (operation, operand, puzzle = SixtyNinePuzzle) {
+    this.operand = operand
+    this.operation = operation
+
+    this.start = operand.start
+    this.end = operand.end
+
+    this.complete = puzzle.isComplete(this)
+  }
+
+  get evaluate() {
+    return Operators[this.operation].apply(this.operand.evaluate)
+  }
+
+  get display() {
+    return Operators[this.operation].display(this.operand)
+  }
+}
+
+class ProvenUnary extends Unary2 {
+  constructor (operation, operand, puzzle, value) {
+    super(operation, operand, puzzle)
+    this.value = value
+  }
+
+  get evaluate() {
+    return this.value
+  }
+}
+
+// Every unary operator, on everything in the layer its cost away from this one
+const applyUnary = (List, operations, puzzle, found) => {
+  puzzle.unary.forEach(Operation => {
+    const Operands = List[operations - puzzle.cost(Operation)] || {}
+    for (const Key in Operands) keepValue(new Unary2(Operation, Operands[Key], puzzle), found)
+  })
+}
+
+const needsLiterals = (puzzle) => puzzle.binary.some(Operation => Operators[Operation].accepts)
+const literalKey = (Key, expression, literals) => literals && isDigits(expression) ? `${Key}:digits` : Key
+
+const boundedByApplying = (operation, ...Values) => {
+  if (Values.some(value => value instanceof Bound)) return Object.assign(new Bound({ valid: false }), { reason: 'bounded' })
+
+  const Result = Operators[operation].apply(...Values, ProofDigits)
+  if (Result.error || (!Result.overflow && !Result.unrepresentable)) return Result
+  return Object.assign(new Bound(), { reason: Result.overflow ? 'overflow' : 'unrepresentable' })
+}
+
+const boundedValue = (operation, ...Values) => {
+  const { bounded } = Operators[operation]
+  if (bounded) return bounded(...Values)
+  return operation in Core ? boundedOperation(operation, ...Values) : boundedByApplying(operation, ...Values)
+}
+
+// Added to + - * / **     prove(3).knownNumbers.length (all certified)
+// nothing                  663
+// neg                      665
+// sqrt                     709
+// !                        762
+// %                        764
+// //                       876
+// ||                       897
+
+/*
+
+Counting every operation as 1 is just how I happened to score it. Other people count differently: some say a power is worth two
+operations, some say 69 shouldn't be free when it's two digits, and they want their p(N) too.
+
+So a Puzzle can have costs now, by operator name or by atom: SixtyNinePuzzle.withCosts({ '**': 2, '69': 1, '-69': 1 }). Anything that
+isn't in there costs what it always did (1 for an operator, 0 for an atom). Costs have to be whole numbers, and an operator has to cost
+at least 1, so that everything is made of pieces that are strictly cheaper than it.
+
+That's what keeps the layered search working. Layer X is now "everything that costs X" instead of "everything with X operations", and
+it's still built only out of layers before it: for an operator that costs C, the left and right sides have to add up to X - C, so the
+composition pairs are compositionPair(X - C) for every cost there is (puzzle.compositions(X) gives them, each with the operators that
+go with it). An atom that costs something goes straight into its layer, before anything else. Going through the layers from the cheapest
+one up is the same thing as Dijkstra's algorithm (uniform cost search) with a bucket for every cost, so the first time something complete
+shows up, it's the cheapest way to write it. (In a checkpoint, an atom that isn't in layer 0 is a row with nothing but its key.)
+Everything that talks about operations (p(N), maxOperations, the operations that findShortest and parse give back, the tables) really
+means the cost now, which is the same number when nothing has a cost of its own.
+
+*/
+
+// SixtyNinePuzzle.withCosts({ '**': 2, '69': 1, '-69': 1 })
+// Target   findShortest(target, { puzzle }).display    .operations (the cost)
+// 27       (((-6 - -9) + -6) * -9)                     3
+// 420      ((((69 * 6) + -9) - -6) - -9)               5
+// 69       69                                          1
+
+/*
+
+Negative numbers have been a bit of an afterthought this whole time. version1 took Math.abs of everything, version2 only kept results
+between -10000 and 10000 by comparing strings, and version3 drops every key with 20 or more characters, minus sign included, so a
+negative number got one digit less than a positive one. That last one is fixed: it's 20 digits, whatever the sign.
+
+And when I want the table for some range, I want to know about the whole range, not just the numbers that happened to show up.
+So search, searchParallel and prove take a range: { min, max } now (anything BigInt can read, both ends included, compared as BigInts
+so nothing is lost past 2 ** 53). The result only has the numbers in it, and two more things:
+- unreached: every number in the range that wasn't found, as [from, to] runs of strings, so a range of a billion numbers with
+  a few found in the middle is still a short list
+- asymmetric: every N where p(N) and p(-N) are different, as { number, positive, negative } with the two operation counts (null if
+  that one wasn't reached). Only for the N where both N and -N are in the range
+The reporter says both at the end (reporter.range). The numbers with 20 digits or more are never in the tables, so in a range that
+goes that far, those are always unreached.
+
+*/
+
+const inRange = (Num, { min, max }) => compareKeys(Num, `${BigInt(min)}`) >= 0 && compareKeys(Num, `${BigInt(max)}`) <= 0
+
+const limitRange = (result, range, reporter) => {
+  if (!range) return result
+
+  const Min = BigInt(range.min)
+  const Max = BigInt(range.max)
+  if (Min > Max) throw new Error(`The range ${Min} to ${Max} is empty`)
+  const InRange = (Num) => inRange(Num, range)
+
+  const Operations = new Map()
+  const DisplayList = result.DisplayList.map((Layer, operations) => {
+    const Obj = {}
+    for (const Num in Layer) {
+      if (!InRange(Num)) continue
+      Obj[Num] = Layer[Num]
+      Operations.set(Num, operations)
+    }
+    return Obj
+  })
+
+  const unreached = []
+  let next = Min
+  ;[...Operations.keys()].filter(isIntegerKey).map(BigInt).sort((A, B) => A < B ? -1 : A > B ? 1 : 0).forEach(Num => {
+    if (Num > next) unreached.push([`${next}`, `${Num - 1n}`])
+    next = Num + 1n
+  })
+  if (next <= Max) unreached.push([`${next}`, `${Max}`])
+
+  const asymmetric = []
+  const Checked = new Set()
+  Operations.forEach((operations, Num) => {
+    const Positive = Num.replace('-', '')
+    if (Positive === '0' || Checked.has(Positive) || !InRange(Positive) || !InRange(`-${Positive}`)) return
+    Checked.add(Positive)
+
+    const Count = (Key) => Operations.has(Key) ? Operations.get(Key) : null
+    if (Count(Positive) !== Count(`-${Positive}`)) {
+      asymmetric.push({ number: Positive, positive: Count(Positive), negative: Count(`-${Positive}`) })
+    }
+  })
+  asymmetric.sort((A, B) => compareKeys(A.number, B.number))
+
+  const Result = { ...result, DisplayList, knownNumbers: result.knownNumbers.filter(InRange), unreached, asymmetric }
+  reporter.range(Result)
+  return Result
+}
+
+// search(3, { range: { min: -20, max: 20 } }).unreached
+// [['-20', '-19'], ['-17', '-17'], ['-11', '-11'], ['-8', '-8'], ['8', '8'], ['11', '11'], ['17', '17'], ['19', '20']]
+
+// prove(4, { range: { min: -1000, max: 1000 } }).asymmetric, the only 3 numbers up to 1000 where the sign matters
+// [{ number: '8', positive: 4, negative: 3 }, { number: '720', positive: 3, negative: null }, { number: '738', positive: 3, negative: null }]
+
+/*
+
+Exact has always known about fractions, and the layered search has been making them the whole time (6/9 is in layer 1), they just
+never made it into a table: anything with a denominator displays as { float: true }, and only integer keys get listed. But some
+versions of the puzzle ask for fractions, like 1/2 or 69/6, so now they can be asked for.
+
+findShortest, findAllShortest and prove's certify take a fraction as a string, like '2/3' or '-69/6' (or an Exact). It's reduced
+first, so '46/4' is 23/2, and then it's matched exactly against the value of every complete expression. A fraction's key has the
+digits it starts and ends on after it (so they can be told apart in a layer), so the match ignores that part.
+
+search, searchParallel and prove also take rationals: true, and then the tables have every complete fraction too, keyed by the
+reduced fraction ('-2/3', '23/2'), once each, with 20 digits at most on the top and on the bottom like the integers. Radicals still
+aren't listed. Everything that sorts or compares numbers (tableRows, the html page, range) compares them as fractions now, by
+cross-multiplying BigInts, so 23/2 goes between 11 and 12. unreached is still only about integers, there are too many fractions in
+any range to list the missing ones.
+
+*/
+
+// Target   findShortest(target).display       .operations
+// 2/3      (-6 / -9)                          1
+// 1/2      (69 / (69 + 69))                   2
+// 1/69     ((69 / 69) / 69)                   2
+// 7/3      (((-6 + -9) + -6) / -9)            3
+// 69/6     (((-6 + -9) / -6) - -9)            3
+// -5/9     (((69 / 69) + -6) / 9)             3
+//
+// search(N, { rationals: true }) finds 4 fractions with 1 operation, 48 with 2 and 517 with 3
+
+const exactOf = (target) => {
+  if (target instanceof Exact) return target
+
+  const Match = /^\s*(-?\d+)\s*(?:\/\s*(-?\d+)\s*)?$/.exec(`${target}`)
+  if (!Match) throw new Error(`${target} isn't an integer or a fraction`)
+  if (Match[2] === undefined) return new Exact(Match[1])
+
+  const Value = new Exact(Match[1]).over(new Exact(Match[2]))
+  if (Value.error) throw new Error(`${target} divides by zero`)
+  return Value
+}
+
+// Keys of integers and fractions, in order, without going through floats
+const compareKeys = (A, B) => {
+  const [An, Ad = '1'] = A.split('/')
+  const [Bn, Bd = '1'] = B.split('/')
+  const Difference = BigInt(An) * BigInt(Bd) - BigInt(Bn) * BigInt(Ad)
+  return Difference < 0n ? -1 : Difference > 0n ? 1 : 0
+}
+
+/*
+
+At 6 operations, version3 keeps every layer before the last one whole, as Expression2 objects pointing at each other, and every one of
+those is an object with its own fields, plus its key in the layer object. That's a few hundred bytes for something that's really just
+"this operator, on those two things", and 7 operations doesn't fit in a laptop's memory anymore.
+
+So searchCompact(N, { memory }) is the same search with the layers packed into typed arrays: for every expression, its operator, the ids
+of its left and right sides (or the atom it is), its start and end digits, and its value as a numerator, a denominator and a root (31 bytes
+altogether). The few values that don't fit in 64 bits stay as Exacts on the side. An id is a number that keeps going from one layer to the
+next, so a layer only ever points at earlier ones, like in a checkpoint.
+
+memory is a budget in bytes for the finished layers. When they go over it, the oldest ones are written to disk (in spill, or in a
+temporary folder that's deleted at the end) and only their files are kept. The composition loop reads every layer in chunks of 16384
+expressions anyway, whether it's in memory or on disk, and only turns a chunk back into values while it's working on it. The layer that's
+being built still has to fit, since it's the one that gets looked up by key, and the table at the end is as big as it always was.
+
+Reading in chunks goes through the pairs in a different order than version3 does, and version3's order matters: it keeps the first
+complete expression for every key (or the last incomplete one), and a layer object lists small positive integer keys first, then
+everything else in the order it showed up. So every candidate gets the place it would have had in version3's loop, and the layer is put
+in order from those at the end. That makes searchCompact give exactly the same result as search, expression for expression, with or
+without spilling.
+
+*/
+
+// searchCompact(6) layer sizes    6, 41, 256, 2469, 19849, 192226 and 621612 (the last one only keeps complete expressions)
+// node --max-old-space-size=200   search(6) runs out of memory, searchCompact(6, { memory: 0 }) gives the same table in 42s
+// Without a budget                searchCompact(6) takes 24s and search(6) 50s, since a value is only ever computed once
+
+const CompactColumns = {
+  num: BigInt64Array,
+  den: BigInt64Array,
+  left: Uint32Array,
+  right: Uint32Array,
+  root: Uint32Array,
+  operation: Uint8Array,
+  start: Uint8Array,
+  end: Uint8Array
+}
+
+const CompactNodeBytes = Object.values(CompactColumns).reduce((Sum, Type) => Sum + Type.BYTES_PER_ELEMENT, 0)
+const CompactChunk = 1 << 14
+
+// Where a candidate would have been in version3's loop: which composition (or the atoms, or a unary operator), and where in it
+const CompactStride = 2 ** 44
+
+// Operator codes start at 1, 0 is an atom
+const OperatorCodes = () => Object.keys(Operators)
+
+const exactFrom = (num, den, root) => Exact.raw(num, den, BigInt(root))
+
+const fitsIn64 = (value) => BigInt.asIntN(64, value.num) === value.num && BigInt.asIntN(64, value.den) === value.den && value.root < 2n ** 32n
+
+class CompactLayer {
+  constructor (size, first) {
+    this.size = size
+    this.first = first
+    for (const Column in CompactColumns) this[Column] = new CompactColumns[Column](size)
+    this.wide = new Map()
+    this.file = null
+    this.descriptor = null
+  }
+
+  get bytes() {
+    return (this.file ? 0 : this.size * CompactNodeBytes) + this.wide.size * 128
+  }
+
+  set(index, term) {
+    const Codes = OperatorCodes()
+    this.operation[index] = term.atom !== undefined ? 0 : Codes.indexOf(term.operation) + 1
+    this.left[index] = term.atom !== undefined ? term.atom : term.operand || term.left
+    this.right[index] = term.right || 0
+    this.start[index] = term.start
+    this.end[index] = term.end
+
+    const Value = term.evaluate
+    if (!fitsIn64(Value)) {
+      this.wide.set(index, Value)
+      return
+    }
+    this.wide.delete(index)
+    this.num[index] = Value.num
+    this.den[index] = Value.den
+    this.root[index] = Number(Value.root)
+  }
+
+  copy(index, Source, from) {
+    for (const Column in CompactColumns) this[Column][index] = Source[Column][from]
+    if (Source.wide.has(from)) this.wide.set(index, Source.wide.get(from))
+  }
+
+  grown(size) {
+    const Grown = new CompactLayer(size, this.first)
+    for (const Column in CompactColumns) Grown[Column].set(this[Column])
+    Grown.wide = this.wide
+    return Grown
+  }
+
+  spill(file) {
+    const fs = require('fs')
+
+    const Descriptor = fs.openSync(file, 'w')
+    for (const Column in CompactColumns) {
+      fs.writeSync(Descriptor, this[Column])
+      this[Column] = null
+    }
+    fs.closeSync(Descriptor)
+
+    this.file = file
+  }
+
+  // Every column from index from on, count long, straight from memory or from the file
+  read(from, count) {
+    if (!this.file) {
+      const Chunk = {}
+      for (const Column in CompactColumns) Chunk[Column] = this[Column].subarray(from, from + count)
+      return Chunk
+    }
+
+    const fs = require('fs')
+    if (this.descriptor === null) this.descriptor = fs.openSync(this.file, 'r')
+
+    const Chunk = {}
+    let position = 0
+    for (const Column in CompactColumns) {
+      const Type = CompactColumns[Column]
+      Chunk[Column] = new Type(count)
+      fs.readSync(this.descriptor, Chunk[Column], 0, count * Type.BYTES_PER_ELEMENT, position + from * Type.BYTES_PER_ELEMENT)
+      position += this.size * Type.BYTES_PER_ELEMENT
+    }
+    return Chunk
+  }
+
+  // The same fields Atom2, Expression2 and Unary2 have (canJoin, isComplete and accepts only look at those), with ids instead of children
+  terms(from, count) {
+    const Codes = OperatorCodes()
+    const Chunk = this.read(from, count)
+
+    const Terms = []
+    for (let i = 0; i < count; i++) {
+      const Index = from + i
+      const Term = {
+        id: this.first + Index,
+        index: Index,
+        start: Chunk.start[i],
+        end: Chunk.end[i],
+        evaluate: this.wide.get(Index) || exactFrom(Chunk.num[i], Chunk.den[i], Chunk.root[i])
+      }
+
+      if (Chunk.operation[i] > 0) {
+        Term.operation = Codes[Chunk.operation[i] - 1]
+        if (Operators[Term.operation].arity === 1) {
+          Term.operand = Chunk.left[i]
+        } else {
+          Term.left = Chunk.left[i]
+          Term.right = Chunk.right[i]
+        }
+      }
+      Terms.push(Term)
+    }
+    return Terms
+  }
+
+  close() {
+    if (!this.file) return
+
+    const fs = require('fs')
+    if (this.descriptor !== null) fs.closeSync(this.descriptor)
+    fs.unlinkSync(this.file)
+  }
+}
+
+const grownArray = (Array, size) => {
+  const Grown = new Array.constructor(size)
+  Grown.set(Array)
+  return Grown
+}
+
+// storeExpression, for candidates that don't come in version3's order. What it keeps is packed as soon as it's kept
+class CompactBuilder {
+  constructor (Known, keep) {
+    this.Known = Known
+    this.keep = keep
+    this.slots = new Map()
+    this.keys = []
+
+    this.nodes = new CompactLayer(1024, 0)
+    this.first = new Float64Array(1024)
+    this.seq = new Float64Array(1024)
+    this.complete = new Uint8Array(1024)
+  }
+
+  found(Key, term) {
+    if (this.Known.has(Key) || (!term.complete && !this.keep)) return
+
+    const Slot = this.slots.get(Key)
+    if (Slot === undefined) {
+      const New = this.newSlot()
+      this.slots.set(Key, New)
+      this.keys.push(Key)
+      this.first[New] = term.seq
+      this.place(New, term)
+      return
+    }
+
+    // It goes where the first one went, and it's the first complete one, or if there's none, the last one
+    const [Complete, Seq] = [this.complete[Slot] === 1, this.seq[Slot]]
+    this.first[Slot] = Math.min(this.first[Slot], term.seq)
+    if (term.complete ? !Complete || term.seq < Seq : !Complete && term.seq > Seq) this.place(Slot, term)
+  }
+
+  newSlot() {
+    const Size = this.keys.length
+    if (Size === this.nodes.size) {
+      this.nodes = this.nodes.grown(Size * 2)
+      this.first = grownArray(this.first, Size * 2)
+      this.seq = grownArray(this.seq, Size * 2)
+      this.complete = grownArray(this.complete, Size * 2)
+    }
+    return Size
+  }
+
+  place(Slot, term) {
+    this.nodes.set(Slot, term)
+    this.seq[Slot] = term.seq
+    this.complete[Slot] = term.complete ? 1 : 0
+  }
+
+  // In the order version3's layer object would list them in: array index keys by value, then the rest by when they first showed up
+  finish(first) {
+    const Index = this.keys.map(Key => /^(0|[1-9]\d*)$/.test(Key) && Number(Key) < 4294967295)
+    const Order = this.keys.map((Key, Slot) => Slot).sort((A, B) => {
+      if (Index[A] !== Index[B]) return Index[A] ? -1 : 1
+      return Index[A] ? Number(this.keys[A]) - Number(this.keys[B]) : this.first[A] - this.first[B]
+    })
+
+    const Layer = new CompactLayer(Order.length, first)
+    Order.forEach((Slot, index) => Layer.copy(index, this.nodes, Slot))
+    return { Layer, Keys: Order.map(Slot => this.keys[Slot]), Complete: Order.map(Slot => this.complete[Slot] === 1), Found: Order.map(Slot => this.seq[Slot]) }
+  }
+}
+
+// What buildDisplayList needs from a layer, without building the expression until it asks for it
+class CompactEntry {
+  constructor (expressionOf, id) {
+    this.expressionOf = expressionOf
+    this.id = id
+    this.complete = true
+  }
+
+  get display() {
+    return this.expressionOf(this.id).display
+  }
+}
+
+const eachChunk = (Layer, each) => {
+  for (let from = 0; from < Layer.size; from += CompactChunk) each(Layer.terms(from, Math.min(CompactChunk, Layer.size - from)), from)
+}
+
+const searchCompact = (N, { puzzle = SixtyNinePuzzle, memory = Infinity, spill, range, rationals = false, reporter = silentReporter } = {}) => {
+  const fs = require('fs')
+  const path = require('path')
+
+  const Known = new Set()
+  const Layers = []
+  const Shown = []
+  let directory = null
+
+  const layerOf = (id) => Layers.find(Layer => id >= Layer.first && id < Layer.first + Layer.size)
+
+  // Only the table needs real expressions, and only for the complete ones
+  const expressionOf = (id) => {
+    const Layer = layerOf(id)
+    const Node = Layer.read(id - Layer.first, 1)
+    if (Node.operation[0] === 0) return puzzle.atoms[Node.left[0]]
+
+    const Operation = OperatorCodes()[Node.operation[0] - 1]
+    if (Operators[Operation].arity === 1) return new Unary2(Operation, expressionOf(Node.left[0]), puzzle)
+    return new Expression2(expressionOf(Node.left[0]), Operation, expressionOf(Node.right[0]), puzzle)
+  }
+
+  const spillOldest = () => {
+    const Oldest = Layers.findIndex(Layer => !Layer.file)
+    if (directory === null) {
+      directory = spill || fs.mkdtempSync(path.join(require('os').tmpdir(), 'sixtynine-'))
+      makeDirectory(directory)
+    }
+
+    Layers[Oldest].spill(path.join(directory, `compact-layer-${Oldest}.bin`))
+    reporter.spill(Oldest)
+  }
+
+  try {
+    for (let operations = 0; operations <= N; operations++) {
+      const Builder = new CompactBuilder(Known, operations < N)
+      const found = (Key, term) => Builder.found(Key, term)
+
+      let phase = 0
+      const keep = (term, within) => {
+        term.seq = phase * CompactStride + within
+        term.complete = puzzle.isComplete(term)
+        keepValue(term, found)
+      }
+
+      puzzle.atomsCosting(operations).forEach((atom, index) => {
+        keep({ atom: puzzle.atoms.indexOf(atom), start: atom.start, end: atom.end, evaluate: atom.evaluate }, index)
+      })
+
+      if (operations > 0) reporter.layer(operations)
+
+      const Compositions = puzzle.compositions(operations)
+      Compositions.forEach((composition, index) => {
+        phase++
+        reporter.composition(index, Compositions.length)
+
+        const [LeftLayer, RightLayer, OperationList] = [Layers[composition[0]], Layers[composition[1]], composition[2]]
+        const ignoreSumAndMul = composition[0] < composition[1]
+        const Width = OperationList.length
+
+        eachChunk(LeftLayer, (LeftTerms, from) => {
+          if (operations > 4) reporter.progress(from, LeftLayer.size)
+
+          eachChunk(RightLayer, RightTerms => {
+            for (const Left of LeftTerms) {
+              for (const Right of RightTerms) {
+                if (!puzzle.canJoin(Left, Right)) continue
+
+                for (let o = 0; o < Width; o++) {
+                  const Operation = OperationList[o]
+                  if (ignoreSumAndMul && (Operation === '+' || Operation === '*')) continue
+
+                  const { accepts, apply } = Operators[Operation]
+                  if (accepts && !accepts(Left, Right)) continue
+
+                  const Within = (Left.index * RightLayer.size + Right.index) * Width + o
+                  keep({ operation: Operation, left: Left.id, right: Right.id, start: Left.start, end: Right.end, evaluate: apply(Left.evaluate, Right.evaluate) }, Within)
+                }
+              }
+            }
+          })
+        })
+      })
+
+      puzzle.unary.forEach(Operation => {
+        phase++
+        const Operands = Layers[operations - puzzle.cost(Operation)]
+        if (!Operands) return
+
+        eachChunk(Operands, Terms => Terms.forEach(Term => {
+          keep({ operation: Operation, operand: Term.id, start: Term.start, end: Term.end, evaluate: Operators[Operation].apply(Term.evaluate) }, Term.index)
+        }))
+      })
+
+      const Previous = Layers[Layers.length - 1]
+      const { Layer, Keys, Complete, Found } = Builder.finish(Previous ? Previous.first + Previous.size : 1)
+      Layers.push(Layer)
+
+      // Known goes in the order version3 found them in too, since that's the order of knownNumbers
+      const Table = {}
+      const Completed = Keys.map((Key, index) => index).filter(index => Complete[index])
+      Completed.forEach(index => {
+        if (isIntegerKey(Keys[index]) || (rationals && isRationalKey(Keys[index]))) Table[Keys[index]] = new CompactEntry(expressionOf, Layer.first + index)
+      })
+      Completed.sort((A, B) => Found[A] - Found[B]).forEach(index => Known.add(Keys[index]))
+      Shown.push(Table)
+
+      while (Layers.reduce((Sum, Layer) => Sum + Layer.bytes, 0) > memory && Layers.some(Layer => !Layer.file)) spillOldest()
+    }
+
+    return limitRange({ DisplayList: buildDisplayList(Shown, rationals), knownNumbers: knownKeys(Known, rationals) }, range, reporter)
+  } finally {
+    Layers.forEach(Layer => Layer.close())
+    if (directory !== null && !spill) fs.rmdirSync(directory)
+  }
+}
+
+/*
+
+A 6 operation search takes a minute, and all anything calling it gets in the meantime is the reporter's progress lines, and then the whole
+table at once. For a page that wants to show numbers as they come in (and to stop when the user gets bored), that's not good enough.
+
+So version3's loop is a generator now, layeredSearch, that stops after every left expression, and tells solved(key, expression, operations)
+about every key the moment it gets its complete expression (which is final, since nothing replaces a complete one). search just runs it
+to the end, exactly like before. searchAsync(N, options) runs it a slice at a time (50ms by default), going back to the event loop in
+between, and returns a handle right away:
+- handle.result: a Promise of the same result search would give
+- handle.on(event, listener): listen to one of
+    layer     { operations }, when a layer starts
+    progress  { operations, composition, percentage, found }, after every slice and every composition pair: which pair it's on
+              ([left layer, right layer]), how far along the layer it is, and how many numbers have been found so far
+    found     { number, operations, expression }, for every number the moment it's found, in the same order as the final table
+- handle.cancel(): stops it after the slice it's on, and result rejects with an AbortError. So does aborting options.signal, an
+  AbortSignal, so it works with AbortController like fetch does
+
+found only says anything about the numbers that end up in the table: integers, fractions with rationals: true (the first time a value
+shows up), and only the ones in the range if there is one. The atoms (and with a checkpoint, the layers it resumes from) are found
+before anything else.
+
+*/
+
+const searchAsync = (N, { signal, slice = 50, ...options } = {}) => {
+  const Listeners = { layer: [], progress: [], found: [] }
+  const emit = (event, data) => Listeners[event].forEach(listener => listener(data))
+
+  let cancelled = false
+  let found = 0
+  let position = { operations: 0, composition: null, percentage: 100 }
+
+  const handle = {
+    on: (event, listener) => {
+      if (!Listeners.hasOwnProperty(event)) throw new Error(`Unknown event ${event}, the events are ${Object.keys(Listeners).join(', ')}`)
+      Listeners[event].push(listener)
+      return handle
+    },
+    cancel: () => { cancelled = true }
+  }
+
+  const progress = () => emit('progress', { ...position, found })
+
+  const reporter = {
+    ...silentReporter,
+    layer: (operations) => {
+      position = { operations, composition: null, percentage: 0 }
+      emit('layer', { operations })
+    },
+    composition: (index, total, composition) => {
+      position = { operations: position.operations, composition: composition.slice(0, 2), percentage: 100 * index / total }
+      progress()
+    }
+  }
+
+  const Listed = new Set()
+  const solved = (Key, expression, operations) => {
+    const Value = valueKey(Key)
+    if (!isIntegerKey(Key) && !(options.rationals && isRationalKey(Key))) return
+    if (!listable(Value) || Listed.has(Value)) return
+    if (options.range && !inRange(Value, options.range)) return
+
+    Listed.add(Value)
+    found++
+    emit('found', { number: Value, operations, expression: expression.display })
+  }
+
+  handle.result = new Promise((resolve, reject) => {
+    const Steps = layeredSearch(N, { ...options, reporter, solved })
+
+    const Aborted = () => {
+      const error = new Error('The search was cancelled')
+      error.name = 'AbortError'
+      return error
+    }
+
+    const run = () => {
+      if (cancelled || (signal && signal.aborted)) {
+        Steps.return()
+        return reject(Aborted())
+      }
+
+      let Step
+      try {
+        const Until = Date.now() + slice
+        do {
+          Step = Steps.next()
+        } while (!Step.done && Date.now() < Until)
+      } catch (error) {
+        return reject(error)
+      }
+
+      if (Step.done) {
+        position.percentage = 100
+        progress()
+        return resolve(Step.value)
+      }
+
+      const { index, compositions, counter, length } = Step.value
+      position.percentage = 100 * (index + counter / length) / compositions
+      progress()
+      setTimeout(run, 0)
+    }
+
+    setTimeout(run, 0)
+  })
+
+  return handle
+}
+
+/*
+
+findShortest goes through every layer until it gets to the target, so a number that needs 7 operations means building all of layer 6
+first, just to find the one expression it wanted. But most of that work is for things that have nothing to do with the target. If it's
+(something) + (something else), and I already have every "something" with 3 operations or less, I know exactly what the something else
+has to be: target - something. I just have to look it up.
+
+That's what the inverse in Operators is for. For a binary operator, inverse.left(target, right) gives the values the left side would
+need to be for the whole thing to come out as target, and inverse.right(target, left) the same for the right side:
+- + and -: target - a, target + a and a - target
+- * and /: target / a, target * a and a / target
+- **: for the base, the roots of target (target ** (1 / exponent), and its negative), and for the exponent, the rational exponents p/q
+  (with q up to 100, like Exact's roots) that turn the base into target. Those come from a floating point guess of the logarithm, and
+  everything is checked exactly afterwards anyway
+For a unary one, inverse(target) gives the operand: -target for neg, target ** 2 for sqrt, and every n with n! = target for !.
+% // and || don't have one (too many things have the same remainder), so they're only used inside the halves.
+
+findInverse(target, { maxOperations, depth }) builds every layer up to depth (3 by default, or about half of maxOperations), keeping one
+expression for every value and pair of start and end digits (not just one per value like version3, since the digits decide what it can
+be joined with), and an index from value to those. Anything up to depth is found just like findShortest would. Past that, for every
+cost, every operator and every way of splitting what's left between two halves of depth or less, it goes through the smaller half,
+works out what the other half needs to be, and looks that up. A unary operator on top just looks for its operand the same way.
+That's a few thousand lookups instead of millions of compositions.
+
+The catch is that it only finds expressions that split into two halves like that, so what it finds isn't always the shortest one (6 + (a
+6 operation thing) is never found with depth 3, for example). It's the cheapest one it can see, and findShortest is still the one that
+proves anything.
+
+*/
+
+// Target     findInverse(target, { maxOperations: 9 })                            .operations   time (findShortest's)
+// 420        ((((69 * 6) + -9) - -6) - -9)                                       4             0.5s (0.04s)
+// 65536      (((-6 / -9) * -6) ** (9 - (69 / 69)))                               5             1.9s (5.3s)
+// 1000000    (((-6 / (-9 + 69)) ** -6) + (-9 * (69 - 69)))                       6             1.8s
+// 99999      (((-6 * -9) + 69) * ((((69 - -6) * 9) + 69) + 69))                  7             1.6s
+// 123456     null                                                                              3.2s
+
+// Every b with b ** exponent = target
+const basesFor = (target, exponent) => {
+  if (exponent.num === 0n) return []
+  const Base = target.toThe(exponent.inverse)
+  return Base instanceof Exact ? [Base, Base.negative] : []
+}
+
+// Every p/q with base ** (p/q) = target, as far as floating point can tell
+const exponentsFor = (base, target) => {
+  const Log = (value) => (BigIntLog(value.num) - BigIntLog(value.den)) / Number(value.root)
+  if (base.num === 0n || target.num === 0n || Math.abs(Log(base)) < 1e-12) return []
+
+  const Guess = Log(target) / Log(base)
+  if (!Number.isFinite(Guess)) return []
+
+  const Exponents = new Map()
+  for (let q = 1; q <= 100; q++) {
+    const p = Math.round(Guess * q)
+    if (Math.abs(Guess * q - p) < 1e-9 * Math.max(1, Math.abs(p))) {
+      const Exponent = new Exact(p).over(new Exact(q))
+      Exponents.set(Exponent.key, Exponent)
+    }
+  }
+  return [...Exponents.values()]
+}
+
+// Every n with n! = target (0 and 1 for 1)
+const factorialsOf = (target) => {
+  if (!isInteger(target) || target.num < 1n) return []
+
+  const Factorials = []
+  let Factorial = 1n
+  for (let n = 0n; Factorial <= target.num; n++) {
+    if (n > 0n) Factorial *= n
+    if (Factorial === target.num) Factorials.push(new Exact(n))
+  }
+  return Factorials
+}
+
+const findInverse = (target, { maxOperations = 7, depth = Math.ceil((maxOperations - 1) / 2), puzzle = SixtyNinePuzzle, reporter = silentReporter } = {}) => {
+
+  const Target = exactOf(target)
+  const literals = needsLiterals(puzzle)
+
+  const List = []
+  const Index = []
+  const Seen = new Set()
+
+  const same = (expression, value) => {
+    const Value = expression.evaluate
+    return Value instanceof Exact && Value.key === value.key
+  }
+
+  const lookup = (value, operations, fits) => (Index[operations].get(value.key) || []).find(fits) || null
+
+  // An expression that costs exactly operations, comes out as value, and fits (its start and end digits, mostly)
+  const solve = (value, operations, fits) => {
+    if (!(value instanceof Exact)) return null
+    if (operations <= depth) return lookup(value, operations, fits)
+
+    for (const Operation of puzzle.binary) {
+      const { inverse, accepts } = Operators[Operation]
+      const Cost = puzzle.cost(Operation)
+      if (!inverse) continue
+
+      for (let left = Math.max(0, operations - Cost - depth); left <= Math.min(depth, operations - Cost); left++) {
+        const right = operations - Cost - left
+
+        // Going through the smaller half, and looking up what the other one needs to be
+        const fromLeft = Object.keys(List[left]).length <= Object.keys(List[right]).length
+        const [Known, Wanted] = fromLeft ? [left, right] : [right, left]
+
+        for (const Key in List[Known]) {
+          const Half = List[Known][Key]
+          const Needed = fromLeft ? inverse.right(value, Half.evaluate) : inverse.left(value, Half.evaluate)
+
+          for (const Other of Needed) {
+            if (!(Other instanceof Exact)) continue
+
+            const order = (other) => fromLeft ? [Half, other] : [other, Half]
+            const Found = lookup(Other, Wanted, (other) => {
+              const [Left, Right] = order(other)
+              return puzzle.canJoin(Left, Right) && (!accepts || accepts(Left, Right)) && fits({ start: Left.start, end: Right.end })
+            })
+            if (!Found) continue
+
+            const [Left, Right] = order(Found)
+            const Expression = new Expression2(Left, Operation, Right, puzzle)
+            if (same(Expression, value)) return Expression
+          }
+        }
+      }
+    }
+
+    for (const Operation of puzzle.unary) {
+      const { inverse } = Operators[Operation]
+      const Cost = puzzle.cost(Operation)
+      if (!inverse || Cost > operations) continue
+
+      for (const Operand of inverse(value)) {
+        const Found = solve(Operand, operations - Cost, fits)
+        const Expression = Found && new Unary2(Operation, Found, puzzle)
+        if (Expression && same(Expression, value)) return Expression
+      }
+    }
+
+    return null
+  }
+
+  const Result = (expression, operations) => ({ expression, display: expression.display, operations })
+  const complete = (term) => puzzle.isComplete(term)
+
+  for (let operations = 0; operations <= maxOperations; operations++) {
+    if (operations > 0) reporter.layer(operations)
+
+    if (operations <= depth) {
+      List[operations] = {}
+      Index[operations] = new Map()
+
+      // Up to depth, it's just findShortest, so it stops as soon as the target shows up
+      let Early = null
+      const found = (Key, expression) => {
+        const Shape = literalKey(shapeKey(Key, expression), expression, literals)
+        if (Seen.has(Shape)) return
+        Seen.add(Shape)
+
+        List[operations][Shape] = expression
+        const Value = valueKey(Key)
+        if (!Index[operations].has(Value)) Index[operations].set(Value, [])
+        Index[operations].get(Value).push(expression)
+
+        if (!Early && expression.complete && Value === Target.key) Early = expression
+      }
+
+      puzzle.atomsCosting(operations).forEach(atom => keepValue(atom, found))
+      if (Early) return Result(Early, operations)
+
+      for (const composition of puzzle.compositions(operations)) {
+        const LeftNumbers = List[composition[0]]
+        for (const LeftIndex in LeftNumbers) {
+          combineExpressions(LeftNumbers[LeftIndex], List[composition[1]], { OperationList: composition[2], ignoreSumAndMul: false, puzzle }, found)
+          if (Early) return Result(Early, operations)
+        }
+      }
+
+      applyUnary(List, operations, puzzle, found)
+      if (Early) return Result(Early, operations)
+    }
+
+    const Found = solve(Target, operations, complete)
+    if (Found) return Result(Found, operations)
+  }
+
+  return null
+}
+
+/*
+
+When findShortest says 14 = ((69 + 69) / 6) - 9, the next question is always "why is that allowed?", and "is that really the shortest?".
+explain(expression) answers the first one by going through the tree from the bottom up, the same order the search built it in, and
+saying for every operator:
+- what it comes out as (exactly, fractions and roots included)
+- which layer it's in, which is just how much it costs, and which pair of layers it was put together from. That's one of the pairs
+  compositionPair gives for that layer (minus the cost of the operator), and which one it is out of all of the layer's compositions
+- which two digits meet in the middle, and whether the puzzle allows that
+And then whether the whole thing is valid and complete. A piece that's used twice (like (-6 + 9) in ((-6 + 9) * (-6 + 9))) is only one
+step, and the atoms aren't steps at all, since they're in layer 0 already (or whatever layer their cost puts them in).
+
+The second question is prove's job, so explain takes its certify as an option, and if it gets one, says whether the count is a certified
+minimum, just an upper bound, or beaten by something prove found.
+
+It takes an expression (anything Atom2, Expression2 or Unary2) or a string for parse, and returns
+{ display, value, operations, valid, complete, steps, minimal, text }, where text is the whole thing written out, every step is
+{ step, display, operation, value, operations, pair, composition, join, start, end, valid, complete } and minimal is whatever certify said
+(or null).
+
+*/
+
+// Exact's key is for computers, this one is for people (visualiser.html uses it too)
+const describeValue = (value) => {
+  if (!(value instanceof Exact)) {
+    if (value.overflow) return 'too big'
+    if (value.unrepresentable) return 'no exact form'
+    return value.error ? 'not a real number' : '?'
+  }
+
+  const Sign = value.num < 0n ? '-' : ''
+  const Num = Exact.Abs(value.num)
+  const Fraction = value.den === 1n ? `${Num}` : `${Num}/${value.den}`
+  if (value.root === 1n) return Sign + Fraction
+  return value.den === 1n ? `${Sign}${Fraction} ** (1/${value.root})` : `${Sign}(${Fraction}) ** (1/${value.root})`
+}
+
+const explain = (expression, { puzzle = SixtyNinePuzzle, certify } = {}) => {
+  if (typeof expression === 'string') {
+    const Parsed = parse(expression, { puzzle })
+    if (!Parsed.expression) throw new Error(Parsed.errors[0].message)
+    expression = Parsed.expression
+  }
+
+  const Steps = []
+  const Seen = new Map()
+
+  // Values go bottom up, so a step under a division by zero doesn't take everything above it down with an exception
+  const walk = (term) => {
+    if (!term.left && !term.operand) return { atom: true, display: term.display, value: term.evaluate, operations: puzzle.cost(term.display), valid: true }
+    if (Seen.has(term.display)) return Seen.get(term.display)
+
+    const Children = term.left ? [walk(term.left), walk(term.right)] : [walk(term.operand)]
+    const Values = Children.map(child => child.value)
+    const Value = Values.every(value => value instanceof Exact) ? Operators[term.operation].apply(...Values) : { depends: true }
+
+    const Cost = puzzle.cost(term.operation)
+    const Operations = Children.reduce((Sum, child) => Sum + child.operations, Cost)
+
+    let pair = null
+    let composition = null
+    let join = null
+    if (term.left) {
+      pair = Children.map(child => child.operations)
+      const Compositions = puzzle.compositions(Operations)
+      const Index = Compositions.findIndex(([left, right, OperationList]) => left === pair[0] && right === pair[1] && OperationList.includes(term.operation))
+      composition = Index === -1 ? null : { index: Index + 1, total: Compositions.length }
+
+      const { accepts } = Operators[term.operation]
+      const Allowed = puzzle.canJoin(term.left, term.right) && (!accepts || accepts(term.left, term.right))
+      join = { end: term.left.end, start: term.right.start, allowed: Allowed }
+    }
+
+    const Step = {
+      step: Steps.length + 1,
+      display: term.display,
+      operation: term.operation,
+      operands: Children,
+      value: Value,
+      operations: Operations,
+      pair,
+      composition,
+      join,
+      start: term.start,
+      end: term.end,
+      broken: (join && !join.allowed) || (!(Value instanceof Exact) && !Value.depends)
+    }
+    Step.valid = !Step.broken && Children.every(child => child.valid)
+    Step.complete = Step.valid && puzzle.isComplete(term)
+    Steps.push(Step)
+    Seen.set(term.display, Step)
+    return Step
+  }
+
+  const Root = walk(expression)
+  const Result = {
+    display: expression.display,
+    value: Root.value,
+    operations: Root.operations,
+    valid: Root.valid,
+    complete: Root.valid && puzzle.isComplete(expression),
+    steps: Steps.map(({ operands, broken, ...Step }) => Step),
+    minimal: certify && Root.value instanceof Exact ? certify(Root.value) : null
+  }
+
+  const describe = (value) => value.depends ? 'nothing, since a step before it failed' : describeValue(value)
+  const Lines = [`${Result.display} = ${describe(Root.value)}`, '']
+
+  const name = (part) => part.atom ? `the atom ${part.display}` : `step ${part.step}`
+  Steps.forEach(Step => {
+    Lines.push(`${Step.step}. ${Step.display} = ${describe(Step.value)}`)
+
+    const From = Step.pair
+      ? `pair (${Step.pair.join(', ')})${Step.composition ? `, composition ${Step.composition.index} of ${Step.composition.total}` : ''}: ${name(Step.operands[0])} ${Step.operation} ${name(Step.operands[1])}`
+      : `${Step.operation} of ${name(Step.operands[0])}`
+    Lines.push(`   layer ${Step.operations}, ${From}`)
+
+    if (Step.join) Lines.push(`   joins a ${Step.join.end} with a ${Step.join.start}: ${Step.join.allowed ? 'fine' : 'not allowed'}`)
+    Lines.push(`   starts on a ${Step.start}, ends on a ${Step.end}${Step.complete ? ', complete' : ''}`)
+  })
+
+  const Operations = `${Result.operations} operation${Result.operations === 1 ? '' : 's'}`
+  Lines.push('')
+  if (!Result.valid) {
+    const Broken = Steps.filter(Step => Step.broken).map(Step => Step.step)
+    const Where = Broken.length === 1 ? `step ${Broken[0]}` : `steps ${Broken.slice(0, -1).join(', ')} and ${Broken[Broken.length - 1]}`
+    Lines.push(`${Operations}. It goes wrong at ${Where}, so it isn't valid.`)
+  } else if (!Result.complete) {
+    Lines.push(`${Operations}. Every join is fine, but it starts on a ${expression.start} and ends on a ${expression.end}, so it isn't complete.`)
+  } else {
+    Lines.push(`${Operations}. Every join is fine, and it starts on a ${expression.start} and ends on a ${expression.end}, so it's complete.`)
+  }
+
+  const Minimal = Result.minimal
+  if (Minimal && Minimal.operations !== null && Minimal.operations < Result.operations) {
+    Lines.push(`It isn't the shortest though: prove found ${Minimal.display} with ${Minimal.operations} operations.`)
+  } else if (Minimal && Minimal.certified) {
+    Lines.push(`That's a certified minimum: nothing with fewer operations comes out as ${describeValue(Root.value)}.`)
+  } else if (Minimal) {
+    Lines.push(`That's only an upper bound: prove couldn't rule out ${Minimal.lowerBound} operations (because of ${Minimal.blockedBy}).`)
+  }
+
+  Result.text = Lines.join('\n')
+  return Result
+}
+
+/*
+
+display puts parentheses around everything, which is great for never being ambiguous and terrible for reading:
+(((6 / -9) * 6) + 9) is just 6 / -9 * 6 + 9. So prettyPrint(expression, { format }) writes it with only the parentheses that change
+something, in one of three formats:
+- text:   6 / (-9) * 6 + 9, which parse reads back into exactly the same tree (so it's safe for the tables)
+- latex:  \frac{6}{-9} \cdot 6 + 9
+- mathml: the same thing as a <math> element, for a web page
+
+Whether a side needs parentheses depends on how tightly things bind, the way it's usually written: + and - are the loosest, then * / %
+and //, then a unary minus, then ** (which goes from the right, so 6 ** 9 ** 6 is 6 ** (9 ** 6)), then ||, then !, and then atoms and
+anything that's already in brackets of its own (sqrt(...), or a fraction in LaTeX). A side that binds less tightly than its operator
+always needs them, and so does one that binds the same when it's on the wrong side: (a - b) - c doesn't need any, but a - (b - c) does.
+(a + (b + c) keeps them too. It's the same number, but not the same tree, and the tables should say what the search really found)
+
+A few more are there for people rather than for parse:
+- a negative base always gets them, so (-6) ** 9, and never -6 ** 9, which anyone would read as -(6 ** 9)
+- so does anything negative on the right side of an operator, 6 - (-9) instead of 6 - -9
+- and anything that isn't an atom as the base of a power or under a !, so (6 / 9) ** 6 and (6 + 9)!
+
+In LaTeX and MathML, the sides of a fraction and the exponent are already set apart by the layout, so they never need parentheses there.
+A unary minus in text is always -( ), since that's the only way parse knows it isn't part of an atom.
+
+It takes an expression or a string for parse, just like explain.
+
+*/
+
+// How tightly every operator binds, loosest first. 7 is for atoms and anything in brackets of its own
+const PrettyLevels = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '//': 2, 'neg': 3, '**': 4, '||': 5, '!': 6, 'sqrt': 7 }
+
+// For every format: how to write an atom, parentheses, a function call and every operator, which sides of an operator are set apart by the layout
+// (inside), and what an operator binds like once it's written (levels, a fraction is 6, like a !)
+const PrettyFormats = {
+  text: {
+    atom: (display) => display,
+    group: (text) => `(${text})`,
+    call: (name, text) => `${name}(${text})`,
+    binary: (operation, left, right) => `${left} ${operation} ${right}`,
+    unary: {
+      'neg': (operand) => operand.operation === 'sqrt' ? `-${operand.text}` : `-(${operand.bare})`,
+      '!': (operand) => `${operand.text}!`,
+      'sqrt': (operand) => `sqrt(${operand.bare})`
+    },
+    inside: {},
+    levels: {}
+  },
+  latex: {
+    atom: (display) => display,
+    group: (text) => `\\left(${text}\\right)`,
+    call: (name, text) => `\\operatorname{${name}}\\left(${text}\\right)`,
+    binary: (operation, left, right) => {
+      if (operation === '*') return `${left} \\cdot ${right}`
+      if (operation === '/') return `\\frac{${left}}{${right}}`
+      if (operation === '//') return `\\left\\lfloor \\frac{${left}}{${right}} \\right\\rfloor`
+      if (operation === '**') return `${left}^{${right}}`
+      if (operation === '%') return `${left} \\bmod ${right}`
+      if (operation === '||') return `${left} \\mathbin{\\|} ${right}`
+      return `${left} ${operation} ${right}`
+    },
+    unary: {
+      'neg': (operand) => `-${operand.text}`,
+      '!': (operand) => `${operand.text}!`,
+      'sqrt': (operand) => `\\sqrt{${operand.bare}}`
+    },
+    inside: { '/': ['left', 'right'], '//': ['left', 'right'], '**': ['right'] },
+    levels: { '/': 6, '//': 7 }
+  },
+  mathml: {
+    atom: (display) => display.startsWith('-') ? `<mrow><mo>-</mo><mn>${display.slice(1)}</mn></mrow>` : `<mn>${display}</mn>`,
+    group: (text) => `<mrow><mo>(</mo>${text}<mo>)</mo></mrow>`,
+    call: (name, text) => `<mrow><mi>${escapeHTML(name)}</mi><mo>(</mo>${text}<mo>)</mo></mrow>`,
+    binary: (operation, left, right) => {
+      if (operation === '/') return `<mfrac>${left}${right}</mfrac>`
+      if (operation === '//') return `<mrow><mo>&#x230A;</mo><mfrac>${left}${right}</mfrac><mo>&#x230B;</mo></mrow>`
+      if (operation === '**') return `<msup>${left}${right}</msup>`
+
+      const Symbols = { '*': '&#xB7;', '%': 'mod', '||': '&#x2016;' }
+      return `<mrow>${left}<mo>${Symbols[operation] || escapeHTML(operation)}</mo>${right}</mrow>`
+    },
+    unary: {
+      'neg': (operand) => `<mrow><mo>-</mo>${operand.text}</mrow>`,
+      '!': (operand) => `<mrow>${operand.text}<mo>!</mo></mrow>`,
+      'sqrt': (operand) => `<msqrt>${operand.bare}</msqrt>`
+    },
+    inside: { '/': ['left', 'right'], '//': ['left', 'right'], '**': ['right'] },
+    levels: { '/': 6, '//': 7 },
+    whole: (text) => `<math xmlns="http://www.w3.org/1998/Math/MathML">${text}</math>`
+  }
+}
+
+// { text, level, negative }, where negative means it starts with a minus sign
+const prettyTerm = (term, Format) => {
+  if (!term.left && !term.operand) return { text: Format.atom(term.display), level: 7, negative: term.display.startsWith('-') }
+
+  const Level = PrettyLevels[term.operation]
+  const Inside = Format.inside[term.operation] || []
+  const wrap = (part, needed) => needed ? Format.group(part.text) : part.text
+
+  // An operator from outside of this file gets written like a function, which is never ambiguous
+  if (!Level) {
+    const Operands = (term.operand ? [term.operand] : [term.left, term.right]).map(part => prettyTerm(part, Format).text)
+    return { text: Format.call(term.operation, Operands.join(', ')), level: 7, negative: false }
+  }
+
+  if (term.operand) {
+    const Operand = prettyTerm(term.operand, Format)
+    const Needed = term.operation === 'neg' ? Operand.level < PrettyLevels['**'] || Operand.negative : Operand.level < 7 || Operand.negative
+    const Text = Format.unary[term.operation]({ text: wrap(Operand, Needed), bare: Operand.text, operation: term.operand.operation })
+    return { text: Text, level: Level, negative: term.operation === 'neg' }
+  }
+
+  const Left = prettyTerm(term.left, Format)
+  const Right = prettyTerm(term.right, Format)
+  const Power = term.operation === '**'
+
+  const LeftNeeded = !Inside.includes('left') && (Power ? Left.level < 7 || Left.negative : Left.level < Level)
+  const RightNeeded = !Inside.includes('right') && (Right.level < Level || (Right.level === Level && !Power) || Right.negative)
+  const Text = Format.binary(term.operation, wrap(Left, LeftNeeded), wrap(Right, RightNeeded))
+
+  const Written = Format.levels[term.operation] || Level
+  return { text: Text, level: Written, negative: Written === Level && !LeftNeeded && Left.negative }
+}
+
+const prettyPrint = (expression, { format = 'text', puzzle = SixtyNinePuzzle } = {}) => {
+  const Format = PrettyFormats[format]
+  if (!Format) throw new Error(`Unknown format ${format}, it has to be text, latex or mathml`)
+
+  if (typeof expression === 'string') {
+    const Parsed = parse(expression, { puzzle })
+    if (!Parsed.expression) throw new Error(Parsed.errors[0].message)
+    expression = Parsed.expression
+  }
+
+  const Text = prettyTerm(expression, Format).text
+  return Format.whole ? Format.whole(Text) : Text
+}
+
+// prettyPrint                     text                       latex
+// (((6 / -9) * 6) + 9)            6 / (-9) * 6 + 9           \frac{6}{-9} \cdot 6 + 9
+// (((69 + 69) / 6) - 9)           (69 + 69) / 6 - 9          \frac{69 + 69}{6} - 9
+// (-6 ** (9 - 6))                 (-6) ** (9 - 6)            \left(-6\right)^{9 - 6}
+// (6 - (9 - 69))                  6 - (9 - 69)               6 - \left(9 - 69\right)
+// (6 ** (9 ** 6))                 6 ** 9 ** 6                6^{9^{6}}
+// -(6 + 9)!                       -((6 + 9)!)                -\left(6 + 9\right)!
+
+/*
+
+And since other people want to use this in their own code (and copy-pasting the whole file every time it changes isn't great), it's
+also a module now. In a browser nothing changes, a <script> tag still gets every class and function as a global. In Node,
+require('sixtynine') (or import, index.mjs wraps this for ES modules) only gets the parts that are meant to be used:
+
+Exact             the exact numbers
+Atom, Expression  Atom2 and Expression2, the expression tree (and Unary, Unary2, for unary operators)
+Operators         every operator there is. A Puzzle picks which ones it uses
+Puzzle            plus SixtyNinePuzzle, the original one
+search            getExpression_version3, returns { DisplayList, knownNumbers }
+searchParallel    the same thing on worker threads, returns a Promise of it
+searchAsync       the same thing, a slice at a time, with events for progress and every number found, and a way to cancel it
+searchCompact     the same thing again, in typed arrays and within a memory budget, spilling layers to disk when it has to
+findShortest      returns { expression, display, operations }, or null if there's nothing within maxOperations
+findAllShortest   returns { expressions, displays, operations } with every distinct minimal expression, or null
+findInverse       like findShortest, but putting two small halves together instead of going through every layer
+canonical         the string that's the same for two expressions that only differ by where the signs are
+prove             the table again, plus certify(target) to tell if a minimum is certified or just an upper bound
+tableRows         plus exportTable, to write any of those tables as CSV, JSON Lines or an HTML page
+parse             turns a string back into an Expression, with everything that's wrong with it
+explain           goes through an expression step by step: every value, layer, composition pair and join, and whether it's minimal
+prettyPrint       writes an expression with only the parentheses it needs, as text, LaTeX or MathML
+createReporter    plus consoleReporter and silentReporter
+
+Everything else (version1, version2, the first Atom and Expression...) is just history and stays out of it. The README has the details.
+
+*/
+
+if (typeof module !== 'undefined') {
+  if (require.main === module) {
+    const { isMainThread, parentPort, workerData } = require('worker_threads')
+    if (!isMainThread && workerData && workerData.parallelSearch) runSearchWorker(parentPort, workerData)
+  }
+
+  module.exports = {
+    Exact,
+    Atom: Atom2,
+    Expression: Expression2,
+    Unary: Unary2,
+    Operators,
+    Puzzle,
+    SixtyNinePuzzle,
+    search: getExpression_version3,
+    searchParallel,
+    searchCompact,
+    searchAsync,
+    findShortest,
+    findAllShortest,
+    findInverse,
+    canonical,
+    prove,
+    tableRows,
+    exportTable,
+    parse,
+    explain,
+    prettyPrint,
+    createReporter,
+    consoleReporter,
+    silentReporter
+  }
+}
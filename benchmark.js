@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/*
+
+How fast is Exact, on the numbers the search actually throws at it?
+
+node benchmark.js [N] runs search(N) (4 by default) twice. The first time, every binary operator's apply is wrapped so it keeps a sample
+of the pairs it gets called with (one in every few, so it doesn't run out of memory), and counts how many calls there are. Then every
+operator runs on its own sample over and over, which gives a time per call that's about what the search pays, and the second search is
+just timed as it is. Calls times the time per call, over the time of the whole search, is roughly how much of the search is arithmetic.
+
+For a real profile (where the rest of the time goes), run it with node --cpu-prof benchmark.js and open the .cpuprofile it leaves behind
+in the performance tab of Chrome's dev tools.
+
+*/
+
+const { performance } = require('perf_hooks')
+const { search, Operators, SixtyNinePuzzle, silentReporter } = require('./algorithm.js')
+
+const N = Number(process.argv[2] || 4)
+const SampleSize = 20000
+const Rounds = 20
+
+const Binary = SixtyNinePuzzle.binary
+
+// Every call to an operator goes through its apply, so that's where the pairs get picked up
+const sampleOperands = () => {
+  const Samples = {}
+  const Originals = {}
+
+  Binary.forEach(Operation => {
+    const Sample = Samples[Operation] = { calls: 0, pairs: [] }
+    const apply = Originals[Operation] = Operators[Operation].apply
+
+    Operators[Operation].apply = (left, right, limit) => {
+      Sample.calls++
+      if (Sample.pairs.length < SampleSize && Sample.calls % 7 === 1) Sample.pairs.push([left, right])
+      return apply(left, right, limit)
+    }
+  })
+
+  try {
+    search(N, { reporter: silentReporter })
+  } finally {
+    Binary.forEach(Operation => { Operators[Operation].apply = Originals[Operation] })
+  }
+
+  return Samples
+}
+
+const timePerCall = (Operation, pairs) => {
+  const { apply } = Operators[Operation]
+
+  // Once to warm up, so the JIT has done its thing before anything is timed
+  pairs.forEach(([left, right]) => apply(left, right))
+
+  const Start = performance.now()
+  for (let round = 0; round < Rounds; round++) {
+    for (const [left, right] of pairs) apply(left, right)
+  }
+  return (performance.now() - Start) * 1e6 / (Rounds * pairs.length)
+}
+
+const Samples = sampleOperands()
+
+const Start = performance.now()
+search(N, { reporter: silentReporter })
+const Total = performance.now() - Start
+
+console.log(`search(${N}) took ${(Total / 1000).toFixed(2)}s\n`)
+console.log('operator  calls        ns/call  share of the search')
+
+let Arithmetic = 0
+Binary.forEach(Operation => {
+  const { calls, pairs } = Samples[Operation]
+  if (pairs.length === 0) return
+
+  const Nanoseconds = timePerCall(Operation, pairs)
+  const Share = calls * Nanoseconds / 1e6 / Total
+  Arithmetic += Share
+
+  console.log(`${Operation.padEnd(8)}  ${String(calls).padEnd(11)}  ${Nanoseconds.toFixed(0).padStart(7)}  ${(100 * Share).toFixed(1)}%`)
+})
+
+console.log(`\nAbout ${(100 * Arithmetic).toFixed(0)}% of search(${N}) is arithmetic`)
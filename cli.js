@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/*
+
+The command line side of algorithm.js. Two commands:
+
+sixtynine search  runs the whole layered search and prints every number it found, with its operation count and expression
+sixtynine solve   finds the shortest expression for a single number (or a fraction, like 69/6)
+
+Progress goes to stderr (unless --quiet), results go to stdout, so `sixtynine search --format csv > table.csv` just works.
+With --prove, search uses prove instead, and every row also says whether its operation count is certified or just an upper bound.
+csv, jsonl and html are the exporters from algorithm.js, so they always have a certified column (false for anything but --prove).
+--operators picks which operators both commands can use, so the same search can be run with and without factorials, for example.
+--costs gives some of them (or some atoms) a cost other than 1 (or 0 for atoms), and then --max-ops and every count is the total cost.
+--rationals puts the fractions search finds in the table too, next to the integers.
+--inverse makes solve put two small halves together (findInverse) instead of going through every layer, which is much faster for big
+numbers, but isn't always the shortest.
+--memory runs searchCompact instead, which keeps the layers in typed arrays and moves the oldest ones to disk past that many megabytes.
+--explain makes solve go through what it found step by step (explain in algorithm.js), for checking it or posting it somewhere. With
+--prove as well, it runs prove up to one operation less first, so it can say whether the count is a certified minimum (nothing shorter
+makes the number). prove(5) already takes a minute and over a gigabyte, so past that it just says it can't check.
+--pretty writes the expressions with prettyPrint, so only the parentheses that matter are left (parse still reads them back the same).
+
+Exit codes: 0 when everything went fine, 1 when solve couldn't find the number within --max-ops, 2 when the arguments don't make sense,
+and 3 for anything else that went wrong (like a checkpoint made for another puzzle).
+
+*/
+
+const {
+  search, searchParallel, searchCompact, prove, findShortest, findAllShortest, findInverse, explain, prettyPrint, tableRows, exportTable, createReporter, silentReporter, SixtyNinePuzzle,
+  Operators
+} = require('./algorithm.js')
+
+const ExitCode = {
+  found: 0,
+  notFound: 1,
+  usage: 2,
+  error: 3
+}
+
+const Usage = `Usage:
+  sixtynine search [--max-ops N] [--range MIN:MAX] [--format FORMAT] [--operators LIST] [--costs LIST] [--checkpoint DIR] [--workers N] [--memory MB] [--prove] [--rationals] [--pretty] [--quiet]
+  sixtynine solve <integer or fraction> [--max-ops N] [--format FORMAT] [--operators LIST] [--costs LIST] [--all] [--inverse] [--explain] [--prove] [--pretty] [--quiet]
+
+Options:
+  --max-ops N        Most operations to look for (default: 4 for search, 6 for solve, 7 for solve --inverse)
+  --range MIN:MAX    Only print numbers between MIN and MAX, both included, and say which ones weren't reached
+  --format FORMAT    text (default), csv, json, jsonl (one JSON object per line) or html (a page with a sortable table)
+  --operators LIST   Comma separated operators to use (default: +,-,*,/,**), out of + - * / ** % // || neg ! sqrt
+  --costs LIST       Comma separated NAME=COST for operators and atoms, like **=2,69=1 (default: 1 per operator, atoms are free)
+  --checkpoint DIR   Save every finished layer in DIR, and resume from it if it's already there
+  --workers N        Split the search over N worker threads (Node 12 or newer, can't be used with --checkpoint)
+  --memory MB        Keep the finished layers within MB megabytes, moving the oldest ones to disk (can't be used with --checkpoint or --workers)
+  --all              Print every genuinely different shortest expression (solve only)
+  --inverse          Look for the target by putting two halves together, not always the shortest (solve only, can't be used with --all)
+  --explain          Go through the expression step by step: every value, layer, composition pair and join (solve only, text format)
+  --prove            Check which operation counts are certified minimums (search or solve --explain, not with --checkpoint, --workers or --memory)
+  --rationals        List fractions like 2/3 as well as integers (search only)
+  --pretty           Write expressions with only the parentheses they need, like 6 / (-9) * 6 + 9 (can't be used with --explain)
+  --quiet            Don't print progress`
+
+// The most operations solve --explain --prove runs prove for
+const ProveLimit = 5
+
+const Flags = ['all', 'inverse', 'explain', 'prove', 'rationals', 'pretty', 'quiet', 'help']
+const Values = ['max-ops', 'range', 'format', 'operators', 'costs', 'checkpoint', 'workers', 'memory']
+
+class UsageError extends Error {}
+
+const parseArguments = (argv) => {
+  const Options = { positional: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const Arg = argv[i]
+
+    if (!Arg.startsWith('--')) {
+      Options.positional.push(Arg)
+      continue
+    }
+
+    const [Name, Inline] = Arg.slice(2).split('=')
+    if (Flags.includes(Name)) {
+      Options[Name] = true
+    } else if (Values.includes(Name)) {
+      const Value = Inline !== undefined ? Inline : argv[++i]
+      if (Value === undefined) throw new UsageError(`--${Name} needs a value`)
+      Options[Name] = Value
+    } else {
+      throw new UsageError(`Unknown option --${Name}`)
+    }
+  }
+
+  return Options
+}
+
+const parseMaxOperations = (Value, Default) => {
+  if (Value === undefined) return Default
+  if (!/^\d+$/.test(Value)) throw new UsageError(`--max-ops must be a non-negative integer, got ${Value}`)
+  return Number(Value)
+}
+
+const parseRange = (Value) => {
+  if (Value === undefined) return null
+
+  const Match = /^(-?\d+):(-?\d+)$/.exec(Value)
+  if (!Match) throw new UsageError(`--range must look like MIN:MAX, got ${Value}`)
+
+  const Range = { min: BigInt(Match[1]), max: BigInt(Match[2]) }
+  if (Range.min > Range.max) throw new UsageError(`--range ${Value} is empty`)
+  return Range
+}
+
+const parseFormat = (Value) => {
+  if (Value === undefined) return 'text'
+  if (!['text', 'csv', 'json', 'jsonl', 'html'].includes(Value)) throw new UsageError(`--format must be text, csv, json, jsonl or html, got ${Value}`)
+  return Value
+}
+
+const parsePuzzle = (OperatorList, CostList) => {
+  let puzzle = SixtyNinePuzzle
+
+  if (OperatorList !== undefined) {
+    const Names = OperatorList.split(',').map(Name => Name.trim())
+    const Unknown = Names.filter(Name => !Operators.hasOwnProperty(Name))
+    if (Unknown.length > 0) throw new UsageError(`Unknown operator ${Unknown.join(', ')}, the operators are ${Object.keys(Operators).join(' ')}`)
+    puzzle = puzzle.withOperators(Names)
+  }
+
+  if (CostList !== undefined) {
+    const Costs = {}
+    CostList.split(',').forEach(Pair => {
+      const Match = /^\s*(\S+?)=(\d+)\s*$/.exec(Pair)
+      if (!Match) throw new UsageError(`--costs must look like NAME=COST,NAME=COST, got ${CostList}`)
+      Costs[Match[1]] = Number(Match[2])
+    })
+
+    try {
+      puzzle = puzzle.withCosts(Costs)
+    } catch (error) {
+      throw new UsageError(error.message)
+    }
+  }
+
+  return puzzle
+}
+
+// In text, upper bounds are only worth pointing out when there was a proof to begin with
+const formatRows = (Rows, format, proven = false) => {
+  if (format === 'json') return JSON.stringify(Rows, null, 2)
+  if (format !== 'text') return exportTable(Rows, format)
+
+  const Width = Math.max(6, ...Rows.map(Row => Row.number.length))
+  const Mark = (Row) => proven && !Row.certified ? '  (upper bound)' : ''
+  return Rows.map(Row => `${Row.number.padStart(Width)}  ${Row.operations}  ${Row.expression}${Mark(Row)}`).join('\n')
+}
+
+// parse gets the same puzzle back, so it knows every operator and atom the expression can have
+const prettyRows = (Rows, puzzle) => Rows.map(Row => ({ ...Row, expression: prettyPrint(Row.expression, { puzzle }) }))
+
+const printTable = (Result, format, pretty) => {
+  const Rows = pretty ? prettyRows(tableRows(Result), pretty.puzzle) : tableRows(Result)
+
+  if (Rows.length > 0 || format === 'html') console.log(formatRows(Rows, format, Boolean(Result.certify)))
+  return ExitCode.found
+}
+
+const searchCommand = (Options, reporter) => {
+  const N = parseMaxOperations(Options['max-ops'], 4)
+  const Range = parseRange(Options.range)
+  const format = parseFormat(Options.format)
+  const puzzle = parsePuzzle(Options.operators, Options.costs)
+  const rationals = Boolean(Options.rationals)
+  const pretty = Options.pretty ? { puzzle } : null
+
+  if (Options.prove) {
+    if (Options.workers !== undefined || Options.checkpoint !== undefined || Options.memory !== undefined) {
+      throw new UsageError('--prove can\'t be used with --workers, --checkpoint or --memory')
+    }
+    return printTable(prove(N, { puzzle, range: Range, rationals, reporter }), format, pretty)
+  }
+
+  if (Options.memory !== undefined) {
+    if (!/^[1-9]\d*$/.test(Options.memory)) throw new UsageError(`--memory must be a positive number of megabytes, got ${Options.memory}`)
+    if (Options.workers !== undefined || Options.checkpoint !== undefined) throw new UsageError('--memory can\'t be used with --workers or --checkpoint')
+
+    const memory = Number(Options.memory) * 2 ** 20
+    return printTable(searchCompact(N, { puzzle, memory, range: Range, rationals, reporter }), format, pretty)
+  }
+
+  if (Options.workers === undefined) return printTable(search(N, { puzzle, checkpoint: Options.checkpoint, range: Range, rationals, reporter }), format, pretty)
+
+  if (!/^[1-9]\d*$/.test(Options.workers)) throw new UsageError(`--workers must be a positive integer, got ${Options.workers}`)
+  if (Options.checkpoint !== undefined) throw new UsageError('--workers and --checkpoint can\'t be used together')
+
+  return searchParallel(N, { puzzle, workers: Number(Options.workers), range: Range, rationals, reporter }).then(Result => printTable(Result, format, pretty))
+}
+
+const solveCommand = (Options, reporter) => {
+  const Target = Options.positional[1]
+  if (Target === undefined || !/^-?\d+(\/\d+)?$/.test(Target)) throw new UsageError('solve needs an integer or a fraction (like 69/6) to look for')
+  if (/\/0+$/.test(Target)) throw new UsageError(`${Target} divides by zero`)
+
+  if (Options.all && Options.inverse) throw new UsageError('--all and --inverse can\'t be used together')
+  if (Options.explain && Options.all) throw new UsageError('--explain and --all can\'t be used together')
+  if (Options.explain && Options.pretty) throw new UsageError('--explain and --pretty can\'t be used together')
+  if (Options.prove && !Options.explain) throw new UsageError('--prove only works with --explain in solve')
+
+  const maxOperations = parseMaxOperations(Options['max-ops'], Options.inverse ? 7 : 6)
+  const format = parseFormat(Options.format)
+  const puzzle = parsePuzzle(Options.operators, Options.costs)
+  if (Options.explain && format !== 'text') throw new UsageError('--explain only works with --format text')
+
+  const Search = Options.all ? findAllShortest : Options.inverse ? findInverse : findShortest
+  const Result = Search(Target, { maxOperations, puzzle, reporter })
+  if (!Result) {
+    console.error(`No expression for ${Target} with ${maxOperations} operations or less`)
+    return ExitCode.notFound
+  }
+
+  // Only prove can say it's the shortest, the searches throw away too much (anything with 20 digits or more, for one)
+  if (Options.explain) {
+    const Below = Math.max(0, Result.operations - 1)
+    if (Options.prove && Below <= ProveLimit) {
+      const { certify } = prove(Below, { puzzle, reporter })
+      console.log(explain(Result.expression, { puzzle, certify }).text)
+      return ExitCode.found
+    }
+
+    const Shortest = Options.prove
+      ? `Checking that it's the shortest would take prove(${Below}), which is too big to run.`
+      : Options.inverse
+        ? 'findInverse doesn\'t look at everything, so there could be something shorter. Run it with --prove to check.'
+        : 'Run it with --prove to check that it\'s the shortest.'
+    console.log(`${explain(Result.expression, { puzzle }).text}\n${Shortest}`)
+    return ExitCode.found
+  }
+
+  // The target as it was matched, so 0/5 is 0 and 46/4 is 23/2
+  const Key = (Options.all ? Result.expressions[0] : Result.expression).evaluate.key
+  const Displays = Options.all ? Result.displays : [Result.display]
+  const Rows = Displays.map(expression => ({ number: Key, operations: Result.operations, expression, certified: false }))
+  console.log(formatRows(Options.pretty ? prettyRows(Rows, puzzle) : Rows, format))
+  return ExitCode.found
+}
+
+const main = (argv) => {
+  const Failed = (error) => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${Usage}`)
+      return ExitCode.usage
+    }
+
+    console.error(error.message)
+    return ExitCode.error
+  }
+
+  try {
+    const Options = parseArguments(argv)
+    const Command = Options.positional[0]
+
+    if (Options.help || Command === 'help') {
+      console.log(Usage)
+      return ExitCode.found
+    }
+
+    const reporter = Options.quiet ? silentReporter : createReporter(line => process.stderr.write(line + '\n'))
+
+    if (Command === 'search') return Promise.resolve(searchCommand(Options, reporter)).catch(Failed)
+    if (Command === 'solve') return solveCommand(Options, reporter)
+
+    throw new UsageError(Command === undefined ? 'Missing command' : `Unknown command ${Command}`)
+  } catch (error) {
+    return Failed(error)
+  }
+}
+
+Promise.resolve(main(process.argv.slice(2))).then(code => { process.exitCode = code })
@@ -0,0 +1,32 @@
+// ES module entry point, everything comes from algorithm.js (which is CommonJS so it can still be loaded with a <script> tag)
+
+import SixtyNine from './algorithm.js'
+
+export const {
+  Exact,
+  Atom,
+  Expression,
+  Unary,
+  Operators,
+  Puzzle,
+  SixtyNinePuzzle,
+  search,
+  searchParallel,
+  searchCompact,
+  searchAsync,
+  findShortest,
+  findAllShortest,
+  findInverse,
+  canonical,
+  prove,
+  tableRows,
+  exportTable,
+  parse,
+  explain,
+  prettyPrint,
+  createReporter,
+  consoleReporter,
+  silentReporter
+} = SixtyNine
+
+export default SixtyNine
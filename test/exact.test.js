@@ -0,0 +1,124 @@
+/*
+
+Exact's edge cases: signs, zeros, negative exponents, roots, and the examples from the comments in algorithm.js.
+Everything is compared by key, which is the same for two Exacts exactly when they're the same number, since they're always simplified.
+
+*/
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { Exact } = require('../algorithm.js')
+
+const fraction = (num, den = 1) => new Exact(num).over(new Exact(den))
+const keyOf = (value) => value instanceof Exact ? value.key : value
+
+test('over keeps the denominator positive when dividing by a negative', () => {
+  assert.strictEqual(keyOf(new Exact(6).over(new Exact(-9))), '-2/3')
+  assert.strictEqual(keyOf(fraction(-2, 3).over(fraction(-4, 9))), '3/2')
+  assert.strictEqual(keyOf(fraction(2, 3).over(new Exact(-4))), '-1/6')
+  assert.strictEqual(keyOf(new Exact(0).over(new Exact(-5))), '0')
+
+  const Value = new Exact(6).over(new Exact(-9))
+  assert.strictEqual(Value.den, 3n)
+  assert.strictEqual(Value.num, -2n)
+})
+
+test('over by zero is an error', () => {
+  assert.deepStrictEqual(new Exact(6).over(new Exact(0)), { error: true })
+  assert.deepStrictEqual(new Exact(0).over(new Exact(0)), { error: true })
+})
+
+test('inverse keeps the sign on the numerator', () => {
+  assert.strictEqual(new Exact(-6).inverse.key, '-1/6')
+  assert.strictEqual(fraction(-2, 3).inverse.key, '-3/2')
+  assert.strictEqual(fraction(2, 3).inverse.key, '3/2')
+  assert.strictEqual(new Exact(-1).inverse.key, '-1')
+})
+
+test('times with a zero gives 0/1, whatever the other side is', () => {
+  for (const [Left, Right] of [[new Exact(0), fraction(2, 3)], [fraction(2, 3), new Exact(0)], [new Exact(0), new Exact(0)], [new Exact(0), fraction(-7, 9)]]) {
+    const Product = Left.times(Right)
+    assert.strictEqual(Product.num, 0n)
+    assert.strictEqual(Product.den, 1n)
+  }
+})
+
+test('times, plus and minus reduce fully', () => {
+  assert.strictEqual(fraction(-3, 4).times(fraction(4, -3)).key, '1')
+  assert.strictEqual(fraction(2, 9).times(fraction(3, 4)).key, '1/6')
+  assert.strictEqual(fraction(1, 2).plus(fraction(1, 3)).key, '5/6')
+  assert.strictEqual(fraction(1, 6).plus(fraction(1, 3)).key, '1/2')
+  assert.strictEqual(fraction(1, 6).minus(fraction(1, 6)).key, '0')
+  assert.strictEqual(fraction(5, 6).minus(new Exact(1)).key, '-1/6')
+})
+
+test('toThe with negative exponents inverts the base', () => {
+  assert.strictEqual(new Exact(6).toThe(new Exact(-2)).key, '1/36')
+  assert.strictEqual(fraction(-2, 3).toThe(new Exact(-3)).key, '-27/8')
+  assert.strictEqual(new Exact(-8).toThe(fraction(-1, 3)).key, '-1/2')
+  assert.strictEqual(new Exact(4).toThe(fraction(-3, 2)).key, '1/8')
+})
+
+test('toThe refuses what has no real answer, and what would be too big', () => {
+  assert.deepStrictEqual(new Exact(0).toThe(new Exact(-1)), { error: true })
+  assert.deepStrictEqual(new Exact(-8).toThe(fraction(1, 2)), { error: true })
+  assert.deepStrictEqual(new Exact(69).toThe(new Exact(69)), { overflow: true })
+  assert.deepStrictEqual(new Exact(2).toThe(fraction(1, 101)), { overflow: true })
+})
+
+test('toThe of 0, 1 and -1 never overflows', () => {
+  assert.strictEqual(new Exact(0).toThe(new Exact(0)).key, '1')
+  assert.strictEqual(new Exact(1).toThe(new Exact(696969696969)).key, '1')
+  assert.strictEqual(new Exact(-1).toThe(new Exact(696969696969)).key, '-1')
+  assert.strictEqual(new Exact(-1).toThe(new Exact(-696969696968)).key, '1')
+  assert.strictEqual(new Exact(0).toThe(new Exact(696969696969)).key, '0')
+})
+
+test('roots, as in the table in algorithm.js', () => {
+  const Root = (num, den) => new Exact(num).toThe(fraction(1, den))
+
+  assert.strictEqual(new Exact(9).toThe(fraction(1, 2)).key, '3')
+  assert.strictEqual(new Exact(-8).toThe(fraction(1, 3)).key, '-2')
+  assert.strictEqual(new Exact(6).toThe(fraction(2, 3)).times(new Exact(6).toThe(fraction(1, 3))).key, '6')
+  assert.strictEqual(new Exact(69).toThe(fraction(6, 9)).toThe(fraction(3, 2)).key, '69')
+  assert.strictEqual(Root(2, 2).plus(Root(2, 2)).key, Root(8, 2).key)
+  assert.deepStrictEqual(Root(2, 2).plus(new Exact(1)), { unrepresentable: true })
+  assert.strictEqual(Root(2, 2).times(Root(2, 2)).key, '2')
+})
+
+test('a power overflows when it would have more digits than limit, and not before', () => {
+  assert.strictEqual(new Exact(15).toThe(new Exact(15)).key, '437893890380859375')
+  assert.strictEqual(new Exact(2).toThe(new Exact(60)).key, '1152921504606846976')
+  assert.strictEqual(new Exact(11).toThe(new Exact(11)).key, '285311670611')
+  assert.strictEqual(new Exact(9).toThe(new Exact(20)).key, '12157665459056928801')
+  assert.strictEqual(new Exact(2).over(new Exact(3)).toThe(new Exact(-41)).key, '36472996377170786403/2199023255552')
+
+  assert.deepStrictEqual(new Exact(10).toThe(new Exact(20)), { overflow: true })
+  assert.deepStrictEqual(new Exact(101).toThe(new Exact(10)), { overflow: true })
+  assert.deepStrictEqual(new Exact(2).over(new Exact(3)).toThe(new Exact(42)), { overflow: true })
+
+  assert.strictEqual(new Exact(6).toThe(new Exact(9), 8).key, '10077696')
+  assert.deepStrictEqual(new Exact(6).toThe(new Exact(9), 7), { overflow: true })
+})
+
+test('digits counts exactly, around every power of 10', () => {
+  for (let power = 0n; power < 60n; power++) {
+    for (const X of [10n ** power - 1n, 10n ** power, 10n ** power + 1n]) {
+      assert.strictEqual(Exact.digits(X), Exact.Abs(X).toString().length || 1, `${X}`)
+      assert.strictEqual(Exact.digits(-X), Exact.Abs(X).toString().length || 1, `-${X}`)
+    }
+  }
+})
+
+test('new Exact only takes an integer, fractions come from over', () => {
+  assert.strictEqual(new Exact(2, 4n).key, '2')
+  assert.strictEqual(new Exact(-69n).key, '-69')
+  assert.strictEqual(new Exact(1, 2).plus(new Exact(1, 3)).key, '2')
+  assert.strictEqual(new Exact(2).over(new Exact(4)).key, fraction(1, 2).key)
+})
+
+test('display is only for integers', () => {
+  assert.strictEqual(new Exact(-69).display, '-69')
+  assert.strictEqual(new Exact(0).display, '0')
+  assert.deepStrictEqual(fraction(1, 2).display, { float: true })
+})
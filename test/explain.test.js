@@ -0,0 +1,57 @@
+/*
+
+explain, on the examples from its comment in algorithm.js.
+
+*/
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { explain, prove, SixtyNinePuzzle, silentReporter } = require('../algorithm.js')
+
+test('every step has its value, layer, composition pair and join', () => {
+  const Explained = explain('((69 + 69) / 6) - 9')
+  assert.strictEqual(Explained.value.key, '14')
+  assert.strictEqual(Explained.operations, 3)
+  assert.strictEqual(Explained.complete, true)
+
+  assert.deepStrictEqual(Explained.steps.map(Step => [Step.display, Step.value.key, Step.operations, Step.pair]), [
+    ['(69 + 69)', '138', 1, [0, 0]],
+    ['((69 + 69) / 6)', '23', 2, [1, 0]],
+    ['(((69 + 69) / 6) - 9)', '14', 3, [2, 0]]
+  ])
+  assert.deepStrictEqual(Explained.steps[2].composition, { index: 1, total: 3 })
+  assert.deepStrictEqual(Explained.steps[2].join, { end: 6, start: 9, allowed: true })
+})
+
+test('a piece that shows up twice is one step', () => {
+  const Explained = explain('(-6 + 9) * (-6 + 9)')
+  assert.strictEqual(Explained.steps.length, 2)
+  assert.deepStrictEqual(Explained.steps[1].pair, [1, 1])
+  assert.match(Explained.text, /step 1 \* step 1/)
+})
+
+test('it says where an expression goes wrong', () => {
+  const Explained = explain('((6 + 9) / (69 - 69)) * (6 + 69)')
+  assert.strictEqual(Explained.valid, false)
+  assert.strictEqual(Explained.complete, false)
+  assert.deepStrictEqual(Explained.steps.find(Step => Step.display === '(6 + 69)').join, { end: 6, start: 6, allowed: false })
+  assert.match(Explained.text, /goes wrong at steps 3 and 4/)
+
+  assert.throws(() => explain('6 +'), /Expected/)
+})
+
+test('layers and pairs follow the costs', () => {
+  const puzzle = SixtyNinePuzzle.withOperators(['+', '-', '*', '/', '**', 'neg']).withCosts({ '**': 2 })
+  const Explained = explain('-(6 - 9) ** 9', { puzzle })
+
+  assert.deepStrictEqual(Explained.steps.map(Step => [Step.operations, Step.pair]), [[1, [0, 0]], [2, null], [4, [2, 0]]])
+  assert.strictEqual(Explained.value.key, '19683')
+})
+
+test('with prove\'s certify, it says whether the count is minimal', () => {
+  const { certify } = prove(3, { reporter: silentReporter })
+
+  assert.strictEqual(explain('((69 + 69) / 6) - 9', { certify }).minimal.certified, true)
+  assert.match(explain('((69 + 69) / 6) - 9', { certify }).text, /certified minimum/)
+  assert.match(explain('((69 - 69) + (69 / 69)) + (-6 + 9)', { certify }).text, /isn't the shortest/)
+})
@@ -0,0 +1,78 @@
+/*
+
+prettyPrint, on the examples from its comment in algorithm.js, and the one thing it must never do: write something parse reads back
+as another expression.
+
+*/
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { prettyPrint, parse, search, tableRows, Atom, Expression, Unary, SixtyNinePuzzle, silentReporter } = require('../algorithm.js')
+
+const AllOperators = SixtyNinePuzzle.withOperators(['+', '-', '*', '/', '**', '%', '//', '||', 'neg', '!', 'sqrt'])
+
+const sameTree = (expression, puzzle = SixtyNinePuzzle) => {
+  const Text = prettyPrint(expression, { puzzle })
+  const Parsed = parse(Text, { puzzle })
+  assert.ok(Parsed.expression, `${Text} parses`)
+  assert.strictEqual(Parsed.expression.display, expression.display, `${expression.display} is written ${Text}`)
+}
+
+test('the examples in its table', () => {
+  const Examples = [
+    ['(((6 / -9) * 6) + 9)', '6 / (-9) * 6 + 9', '\\frac{6}{-9} \\cdot 6 + 9'],
+    ['(((69 + 69) / 6) - 9)', '(69 + 69) / 6 - 9', '\\frac{69 + 69}{6} - 9'],
+    ['(-6 ** (9 - 6))', '(-6) ** (9 - 6)', '\\left(-6\\right)^{9 - 6}'],
+    ['(6 - (9 - 69))', '6 - (9 - 69)', '6 - \\left(9 - 69\\right)'],
+    ['(6 ** (9 ** 6))', '6 ** 9 ** 6', '6^{9^{6}}'],
+    ['-((6 + 9)!)', '-((6 + 9)!)', '-\\left(6 + 9\\right)!']
+  ]
+
+  Examples.forEach(([display, text, latex]) => {
+    assert.strictEqual(prettyPrint(display, { puzzle: AllOperators }), text)
+    assert.strictEqual(prettyPrint(display, { puzzle: AllOperators, format: 'latex' }), latex)
+  })
+})
+
+test('the parentheses that matter stay', () => {
+  assert.strictEqual(prettyPrint('(6 ** 9) ** 6'), '(6 ** 9) ** 6')
+  assert.strictEqual(prettyPrint('(6 / 9) ** 6'), '(6 / 9) ** 6')
+  assert.strictEqual(prettyPrint('6 * (9 / 6)'), '6 * (9 / 6)')
+  assert.strictEqual(prettyPrint('6 - -9'), '6 - (-9)')
+  assert.strictEqual(prettyPrint('-(6) ** 9', { puzzle: AllOperators }), '(-(6)) ** 9')
+  assert.strictEqual(prettyPrint('-(6 ** 9)', { puzzle: AllOperators }), '-(6 ** 9)')
+  assert.strictEqual(prettyPrint('(6 / 9)!', { puzzle: AllOperators, format: 'latex' }), '\\left(\\frac{6}{9}\\right)!')
+})
+
+test('MathML is a whole <math> element', () => {
+  assert.strictEqual(
+    prettyPrint('(6 / -9) ** 6', { format: 'mathml' }),
+    '<math xmlns="http://www.w3.org/1998/Math/MathML"><msup><mrow><mo>(</mo><mfrac><mn>6</mn><mrow><mo>-</mo><mn>9</mn></mrow></mfrac><mo>)</mo></mrow><mn>6</mn></msup></math>'
+  )
+  assert.throws(() => prettyPrint('6 + 9', { format: 'html' }), /Unknown format html/)
+  assert.throws(() => prettyPrint('6 +'), /Expected/)
+})
+
+test('parse reads every expression of search(3) back as the same tree', () => {
+  tableRows(search(3, { reporter: silentReporter })).forEach(Row => sameTree(parse(Row.expression).expression))
+})
+
+test('and every mix of operators, nested any way', () => {
+  const Binary = ['+', '-', '*', '/', '**', '%', '//', '||']
+  const Unaries = ['neg', '!', 'sqrt']
+
+  // Always the same trees, so a failure can be looked at again
+  let seed = 69
+  const random = (count) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return seed % count
+  }
+  const tree = (depth) => {
+    if (depth === 0 || random(4) === 0) return AllOperators.atoms[random(AllOperators.atoms.length)]
+    if (random(4) === 0) return new Unary(Unaries[random(Unaries.length)], tree(depth - 1), AllOperators)
+    return new Expression(tree(depth - 1), Binary[random(Binary.length)], tree(depth - 1), AllOperators)
+  }
+
+  for (let count = 0; count < 2000; count++) sameTree(tree(5), AllOperators)
+  sameTree(new Atom(-69))
+})
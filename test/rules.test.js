@@ -0,0 +1,116 @@
+/*
+
+The rules of the puzzle: which digits an atom starts and ends on, which joins are allowed, and what counts as complete. Also the
+examples in the comments of algorithm.js that are about those (the ones at the very top, and parse's table).
+
+*/
+
+const test = require('node:test')
+const assert = require('node:assert')
+const { Atom, Expression, Puzzle, SixtyNinePuzzle, parse } = require('../algorithm.js')
+
+const [MinusSix, Six, MinusNine, Nine, SixtyNine, MinusSixtyNine] = SixtyNinePuzzle.atoms
+
+const FourTwentyPuzzle = new Puzzle({
+  atoms: [-4, 4, -2, 2, -42, 42, -20, 20, -420, 420],
+  forbidden: [[4, 4], [4, 0], [2, 2], [2, 4], [0, 0], [0, 2]],
+  starts: [4],
+  ends: [0]
+})
+
+test('an atom starts on its first digit and ends on its last, whatever its sign', () => {
+  const Digits = (value, puzzle) => {
+    const Term = new Atom(value, puzzle)
+    return [Term.start, Term.end]
+  }
+
+  assert.deepStrictEqual(Digits(6), [6, 6])
+  assert.deepStrictEqual(Digits(-6), [6, 6])
+  assert.deepStrictEqual(Digits(-9), [9, 9])
+  assert.deepStrictEqual(Digits(69), [6, 9])
+  assert.deepStrictEqual(Digits(-69), [6, 9])
+  assert.deepStrictEqual(Digits(420, FourTwentyPuzzle), [4, 0])
+  assert.deepStrictEqual(Digits(-20, FourTwentyPuzzle), [2, 0])
+  assert.deepStrictEqual(Digits(123456789), [1, 9])
+})
+
+test('the atoms of the puzzle are in the order they were given, and only 69 and -69 are complete', () => {
+  assert.deepStrictEqual(SixtyNinePuzzle.atoms.map(atom => atom.display), ['-6', '6', '-9', '9', '69', '-69'])
+  assert.deepStrictEqual(SixtyNinePuzzle.atoms.filter(atom => atom.complete), [SixtyNine, MinusSixtyNine])
+  assert.deepStrictEqual(FourTwentyPuzzle.atoms.filter(atom => atom.complete).map(atom => atom.display), ['-420', '420'])
+})
+
+test('a 6 can\'t touch a 6, and a 9 can\'t touch a 9', () => {
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Six, MinusSix), false)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Six, SixtyNine), false)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(SixtyNine, Nine), false)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(MinusNine, MinusSixtyNine), true)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Six, Nine), true)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Nine, Six), true)
+
+  // Only the digits at the join matter, not the whole expressions
+  const Three = new Expression(MinusSix, '+', Nine)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Three, Three), true)
+  assert.strictEqual(SixtyNinePuzzle.canJoin(Three, MinusNine), false)
+})
+
+test('another puzzle brings its own joins', () => {
+  const [MinusFour, Four, , Two] = FourTwentyPuzzle.atoms
+  assert.strictEqual(FourTwentyPuzzle.canJoin(Four, MinusFour), false)
+  assert.strictEqual(FourTwentyPuzzle.canJoin(Two, Four), false)
+  assert.strictEqual(FourTwentyPuzzle.canJoin(Four, Two), true)
+})
+
+test('complete means starting on a 6 and ending on a 9', () => {
+  assert.strictEqual(new Expression(Six, '+', Nine).complete, true)
+  assert.strictEqual(new Expression(Nine, '+', Six).complete, false)
+  assert.strictEqual(new Expression(Six, '+', MinusSix).complete, false)
+  assert.strictEqual(new Expression(new Expression(Nine, '+', Six), '*', SixtyNine).complete, false)
+  assert.strictEqual(new Expression(Six, '**', new Expression(new Expression(Nine, '+', Six), '*', Nine)).complete, true)
+})
+
+test('the examples at the top of algorithm.js', () => {
+  const Zero = new Expression(SixtyNine, '-', SixtyNine)
+  const One = new Expression(SixtyNine, '/', SixtyNine)
+  const Three = new Expression(MinusSix, '+', Nine)
+  const NineFromThrees = new Expression(Three, '*', Three)
+  const Incomplete = new Expression(Nine, '**', Six)
+
+  const Examples = [
+    [Zero, '0', '(69 - 69)', true],
+    [One, '1', '(69 / 69)', true],
+    [Three, '3', '(-6 + 9)', true],
+    [NineFromThrees, '9', '((-6 + 9) * (-6 + 9))', true],
+    [Incomplete, '531441', '(9 ** 6)', false]
+  ]
+
+  Examples.forEach(([Term, value, display, complete]) => {
+    assert.strictEqual(Term.evaluate.key, value)
+    assert.strictEqual(Term.display, display)
+    assert.strictEqual(Term.complete, complete)
+  })
+})
+
+test('parse, as in its table in algorithm.js', () => {
+  const Fourteen = parse('((69 + 69) / 6) - 9')
+  assert.strictEqual(Fourteen.value.key, '14')
+  assert.strictEqual(Fourteen.complete, true)
+  assert.strictEqual(Fourteen.operations, 3)
+  assert.deepStrictEqual(Fourteen.errors, [])
+
+  const Adjacent = parse('(6 + 69)')
+  assert.strictEqual(Adjacent.value.key, '75')
+  assert.strictEqual(Adjacent.complete, false)
+  assert.deepStrictEqual(Adjacent.errors, [{ type: 'adjacency', message: '(6 + 69) joins a 6 with a 6 at position 3', position: 3 }])
+
+  const Backwards = parse('9 ** 6')
+  assert.strictEqual(Backwards.value.key, '531441')
+  assert.strictEqual(Backwards.valid, true)
+  assert.strictEqual(Backwards.complete, false)
+  assert.deepStrictEqual(Backwards.errors.map(error => error.type), ['start', 'end'])
+
+  const Division = parse('(6 + 9) / (69 - 69)')
+  assert.strictEqual(Division.value, null)
+  assert.strictEqual(Division.complete, false)
+  assert.deepStrictEqual(Division.errors, [{ type: 'division', message: '((6 + 9) / (69 - 69)) divides by zero at position 8', position: 8 }])
+})
@@ -0,0 +1,132 @@
+/*
+
+p(N) up to 4 operations, checked against two reference tables in golden/:
+- search-4.json is what getExpression_version3 finds. It keeps one expression for every value, so some counts are higher than they
+  could be. Every search that's meant to be the same search (compact, parallel, async, resumed from a checkpoint) has to give exactly
+  the same operation counts.
+- prove-4.json is prove's table, where every count is a certified minimum. The version3 counts can be higher, but never lower.
+A table of N operations is every number in the reference with p(N) <= N, so N = 1 to 3 come from the same files.
+
+If a change is supposed to change the results, the files can be made again with tableRows(search(4)) and tableRows(prove(4)), sorted by
+number. Otherwise a failure here means a search got something wrong.
+
+*/
+
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { search, searchCompact, searchParallel, searchAsync, prove, findShortest, tableRows, parse, silentReporter } = require('../algorithm.js')
+
+const SearchTable = require('./golden/search-4.json')
+const ProveTable = require('./golden/prove-4.json')
+
+const reporter = silentReporter
+
+const upTo = (Table, N) => {
+  const Numbers = {}
+  for (const number in Table) if (Table[number] <= N) Numbers[number] = Table[number]
+  return Numbers
+}
+
+const operationsOf = (Result) => {
+  const Numbers = {}
+  tableRows(Result).forEach(Row => { Numbers[Row.number] = Row.operations })
+  return Numbers
+}
+
+test('search reproduces p(N) for N = 0 to 4', () => {
+  for (let N = 0; N <= 4; N++) assert.deepStrictEqual(operationsOf(search(N, { reporter })), upTo(SearchTable, N), `p(${N})`)
+})
+
+test('searchCompact gives the same table, in memory or spilled to disk', () => {
+  assert.deepStrictEqual(operationsOf(searchCompact(4, { reporter })), SearchTable)
+  assert.deepStrictEqual(operationsOf(searchCompact(4, { memory: 0, reporter })), SearchTable)
+})
+
+test('searchParallel gives the same table', async () => {
+  assert.deepStrictEqual(operationsOf(await searchParallel(4, { workers: 2, reporter })), SearchTable)
+})
+
+test('searchAsync gives the same table', async () => {
+  assert.deepStrictEqual(operationsOf(await searchAsync(4, { reporter }).result), SearchTable)
+})
+
+test('a search resumed from a checkpoint gives the same table', () => {
+  const checkpoint = fs.mkdtempSync(path.join(os.tmpdir(), 'sixtynine-test-'))
+  try {
+    assert.deepStrictEqual(operationsOf(search(3, { checkpoint, reporter })), upTo(SearchTable, 3))
+    assert.deepStrictEqual(operationsOf(search(4, { checkpoint, reporter })), SearchTable)
+  } finally {
+    fs.rmSync(checkpoint, { recursive: true, force: true })
+  }
+})
+
+test('a checkpoint from an older version of the search is refused, not resumed', () => {
+  const checkpoint = fs.mkdtempSync(path.join(os.tmpdir(), 'sixtynine-test-'))
+  try {
+    search(2, { checkpoint, reporter })
+    const MetaFile = path.join(checkpoint, 'meta.json')
+    const Meta = JSON.parse(fs.readFileSync(MetaFile, 'utf8'))
+    fs.writeFileSync(MetaFile, JSON.stringify({ ...Meta, format: 3 }))
+
+    assert.throws(() => search(3, { checkpoint, reporter }), /made by an older version of the search/)
+  } finally {
+    fs.rmSync(checkpoint, { recursive: true, force: true })
+  }
+})
+
+test('prove certifies p(N) for N = 1 to 4', () => {
+  for (let N = 1; N <= 4; N++) {
+    const Result = prove(N, { reporter })
+    assert.ok(tableRows(Result).every(Row => Row.certified), `p(${N}) is all certified`)
+    assert.deepStrictEqual(operationsOf(Result), upTo(ProveTable, N), `p(${N})`)
+  }
+})
+
+test('version3 never beats a certified minimum', () => {
+  for (const number in SearchTable) {
+    assert.ok(number in ProveTable, `${number} is in the proven table`)
+    assert.ok(SearchTable[number] >= ProveTable[number], `${number}: ${SearchTable[number]} >= ${ProveTable[number]}`)
+  }
+})
+
+test('findShortest finds complete expressions, with exactly the certified minimum', () => {
+  const Found = findShortest(420, { maxOperations: 4, reporter })
+  assert.strictEqual(Found.display, '((((69 * 6) + -9) - -6) - -9)')
+  assert.strictEqual(Found.operations, 4)
+
+  // 11 and 216 need pieces with the same value as one that's already there, but other digits at the ends
+  for (const number of ['0', '1', '3', '9', '11', '14', '24', '27', '216', '-216', '-420', '360', '1000']) {
+    const Shortest = findShortest(number, { maxOperations: 4, reporter })
+    const Parsed = parse(Shortest.display)
+
+    assert.ok(Parsed.complete, `${Shortest.display} is complete`)
+    assert.strictEqual(Parsed.value.key, number)
+    assert.strictEqual(Parsed.operations, Shortest.operations)
+    assert.strictEqual(Shortest.operations, ProveTable[number], number)
+  }
+})
+
+test('findShortest agrees with prove on every number up to 3 operations', () => {
+  const Numbers = upTo(ProveTable, 3)
+  for (const number in Numbers) {
+    const Shortest = findShortest(number, { maxOperations: 3, reporter })
+    assert.strictEqual(Shortest && Shortest.operations, Numbers[number], number)
+  }
+})
+
+test('nothing is printed without a reporter', () => {
+  const Lines = []
+  const log = console.log
+  console.log = (...line) => Lines.push(line.join(' '))
+  try {
+    search(2, { range: { min: 0, max: 10 } })
+    prove(2)
+    findShortest(14)
+  } finally {
+    console.log = log
+  }
+  assert.deepStrictEqual(Lines, [])
+})